@@ -0,0 +1,59 @@
+// Roles and the permissions each one carries.
+// Routes check permissions (never role names) through middleware/requirePermission.js.
+const PERMISSIONS = {
+  USERS_MANAGE: 'users:manage',             // create/delete admins, change roles
+  BUSES_READ: 'buses:read',                 // fleet list incl. inactive buses
+  BUSES_WRITE: 'buses:write',
+  BUSES_DELETE: 'buses:delete',
+  ROUTES_WRITE: 'routes:write',
+  ROUTES_DELETE: 'routes:delete',
+  STOPS_WRITE: 'stops:write',
+  STOPS_DELETE: 'stops:delete',
+  SCHEDULES_WRITE: 'schedules:write',
+  GTFS_IMPORT: 'gtfs:import',
+  DRIVERS_READ: 'drivers:read',             // driver list and contact numbers
+  DRIVERS_ASSIGN: 'drivers:assign',
+  TRACKING_HISTORY: 'tracking:history',     // breadcrumbs, replays, stop events, segment stats
+  LOCATION_UPDATE: 'location:update',       // own assigned bus
+  LOCATION_UPDATE_ANY: 'location:update:any',
+  SHIFTS_OWN: 'shifts:own',                 // start/end shift on own assigned bus
+  SHIFTS_MANAGE: 'shifts:manage',           // start/end shift on any bus
+  AUDIT_READ: 'audit:read',
+  REPORTS_READ: 'reports:read',            // load factor and other fleet reports
+  ALERTS_WRITE: 'alerts:write',             // passenger service alerts / disruption notices
+  WEBHOOKS_MANAGE: 'webhooks:manage',       // outbound fleet event webhooks and their delivery log
+  FLEET_MONITOR: 'fleet:monitor',           // GPS anomaly review and off-route alerts
+};
+
+const P = PERMISSIONS;
+
+const ROLE_PERMISSIONS = {
+  // Read-only fleet overview, e.g. for management dashboards
+  viewer: [P.BUSES_READ, P.TRACKING_HISTORY, P.REPORTS_READ],
+
+  driver: [P.LOCATION_UPDATE, P.SHIFTS_OWN],
+
+  // Day-to-day operations: who drives what, shifts, live monitoring
+  dispatcher: [
+    P.BUSES_READ, P.TRACKING_HISTORY, P.DRIVERS_READ, P.DRIVERS_ASSIGN, P.SHIFTS_MANAGE, P.REPORTS_READ,
+    P.ALERTS_WRITE, P.FLEET_MONITOR,
+  ],
+
+  // Owns the fleet and network data of a depot
+  depot_manager: [
+    P.BUSES_READ, P.BUSES_WRITE, P.BUSES_DELETE, P.ROUTES_WRITE, P.STOPS_WRITE,
+    P.SCHEDULES_WRITE, P.TRACKING_HISTORY, P.DRIVERS_READ, P.DRIVERS_ASSIGN, P.SHIFTS_MANAGE,
+    P.REPORTS_READ, P.ALERTS_WRITE, P.FLEET_MONITOR,
+  ],
+
+  admin: Object.values(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+// The auth middleware rebuilds req.user.permissions from the user's stored role
+const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+module.exports = { PERMISSIONS, ROLE_PERMISSIONS, ROLES, permissionsForRole, hasPermission };
@@ -1,9 +1,16 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const { initSocket } = require('./services/socket');
+const { startWebhookDispatcher } = require('./services/webhooks');
+const { startVehicleStatusWorker } = require('./services/vehicleStatus');
+const { dropStoredQrCodes } = require('./services/qr');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 const app = express();
+const server = http.createServer(app);
 
 // Middleware
 app.use(cors());
@@ -15,15 +22,36 @@ app.use('/api/buses', require('./routes/buses'));
 app.use('/api/routes', require('./routes/routes'));
 app.use('/api/stops', require('./routes/stops'));
 app.use('/api/driver', require('./routes/driver'));
+app.use('/api/shifts', require('./routes/shifts'));
+app.use('/api/gtfs', require('./routes/gtfs'));
+app.use('/api/schedules', require('./routes/schedules'));
+app.use('/api/plan', require('./routes/plan'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
+app.use('/api/apc', require('./routes/apc'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/dispatch', require('./routes/dispatch'));
+app.use('/api', notFoundHandler);
 
 // Health check
 app.get('/', (req, res) => res.json({ message: 'Bus Tracker API Running' }));
 
+// Every error leaves as { message, code, details? } — keep this after all routes
+app.use(errorHandler);
+
+// Live tracking over Socket.IO (shares the HTTP server)
+initSocket(server);
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('MongoDB Connected');
-    app.listen(process.env.PORT || 5000, () => {
+    startWebhookDispatcher();
+    startVehicleStatusWorker();
+    dropStoredQrCodes().catch(err => console.error('QR cleanup error:', err.message));
+    server.listen(process.env.PORT || 5000, () => {
       console.log(`Server running on port ${process.env.PORT || 5000}`);
     });
   })
@@ -1,20 +0,0 @@
-const jwt = require('jsonwebtoken');
-
-// Middleware that checks JWT AND ensures role is 'admin'
-const adminOnly = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    if (decoded.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied. Admins only.' });
-    }
-    req.user = decoded;
-    next();
-  } catch {
-    res.status(401).json({ message: 'Invalid or expired token' });
-  }
-};
-
-module.exports = adminOnly;
\ No newline at end of file
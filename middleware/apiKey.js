@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const { HttpError, unauthorized } = require('../utils/httpError');
+
+const matches = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Machine-to-machine auth for device integrations (e.g. APC counters).
+// Keys come from a comma-separated env var and are sent as the X-API-Key header.
+// Usage: router.post('/counts', requireApiKey('APC_API_KEYS'), handler)
+const requireApiKey = (envVar) => (req, res, next) => {
+  const keys = (process.env[envVar] || '').split(',').map(k => k.trim()).filter(Boolean);
+  if (!keys.length) return next(new HttpError(503, 'This integration is not configured'));
+
+  const given = req.get('x-api-key');
+  if (!given || !keys.some(key => matches(given, key))) return next(unauthorized('Invalid API key'));
+  next();
+};
+
+module.exports = requireApiKey;
@@ -1,16 +1,33 @@
-const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyToken } = require('../utils/tokens');
+const { unauthorized } = require('../utils/httpError');
+const { permissionsForRole } = require('../config/permissions');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
+  if (!token) return next(unauthorized('No token provided'));
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch {
-    res.status(401).json({ message: 'Invalid token' });
+    return next(unauthorized('Invalid token'));
   }
+
+  let user;
+  try {
+    // Tokens issued before a logout-everywhere / password reset carry an old version
+    user = await User.findById(decoded.id, 'tokenVersion role');
+    if (!user || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+      return next(unauthorized('Session has been revoked. Please log in again.'));
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  // Permissions follow the stored role, so a role change applies to tokens already issued
+  req.user = { ...decoded, role: user.role, permissions: permissionsForRole(user.role) };
+  next();
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { ERROR_CODES, HttpError } = require('../utils/httpError');
+
+// Turn any error into the standard envelope: { message, code, details? }
+//   400 malformed JSON / ids, 401/403 auth, 404 missing, 409 duplicate key,
+//   422 schema or Mongoose validation failures, 500 everything else
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map(e => ({ field: e.path, message: e.message }));
+    return new HttpError(422, 'Validation failed', details);
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new HttpError(400, `Invalid value for ${err.path}`, [{ field: err.path, message: `"${err.value}" is not valid` }]);
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    const details = fields.map(field => ({ field, message: `"${err.keyValue?.[field]}" is already in use` }));
+    return new HttpError(409, `${fields.join(', ') || 'Value'} already exists`, details);
+  }
+  // body-parser: invalid JSON or oversized payload
+  if (err.type === 'entity.parse.failed') return new HttpError(400, 'Request body is not valid JSON');
+  if (err.type === 'entity.too.large') return new HttpError(413, 'Request body is too large');
+  // multer upload limits
+  if (err.name === 'MulterError') return new HttpError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.message);
+
+  // Services throw plain Errors with a status for expected failures
+  if (err.status && err.status < 500) return new HttpError(err.status, err.message, err.details);
+
+  return null;
+}
+
+// Express only treats a middleware as an error handler when it takes all four arguments
+function errorHandler(err, req, res, next) {
+  const httpError = toHttpError(err);
+  if (httpError) {
+    return res.status(httpError.status).json({
+      message: httpError.message,
+      code: httpError.code,
+      ...(httpError.details ? { details: httpError.details } : {})
+    });
+  }
+
+  console.error(`${req.method} ${req.originalUrl}:`, err);
+  res.status(500).json({
+    message: process.env.NODE_ENV === 'production' ? 'Something went wrong' : err.message,
+    code: ERROR_CODES[500]
+  });
+}
+
+// Unknown /api paths get the same envelope instead of Express's HTML page
+function notFoundHandler(req, res) {
+  res.status(404).json({ message: `Cannot ${req.method} ${req.originalUrl}`, code: ERROR_CODES[404] });
+}
+
+module.exports = { errorHandler, notFoundHandler };
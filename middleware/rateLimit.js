@@ -0,0 +1,43 @@
+const { HttpError } = require('../utils/httpError');
+
+// Fixed-window counters kept in memory, per process. Enough to stop one client
+// hammering a public endpoint; not shared between instances.
+// hit(key) counts a request and returns the seconds until the key may try again
+// once it is over `max` for the window, else 0.
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map(); // key → { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+  }, 60 * 1000);
+  sweep.unref();
+
+  return function hit(key) {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    return entry.count > max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+  };
+}
+
+// The 429 to pass to next(), with Retry-After set from hit()'s answer
+function tooManyRequests(res, retryAfter, message = 'Too many requests, try again later') {
+  res.set('Retry-After', String(retryAfter));
+  return new HttpError(429, message);
+}
+
+// Per-client limit for a route. Usage: router.post('/', rateLimit({ windowMs: 3600000, max: 10 }), handler)
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, message }) => {
+  const hit = createRateLimiter({ windowMs, max });
+  return (req, res, next) => {
+    const retryAfter = hit(key(req));
+    next(retryAfter ? tooManyRequests(res, retryAfter, message) : undefined);
+  };
+};
+
+module.exports = { createRateLimiter, tooManyRequests, rateLimit };
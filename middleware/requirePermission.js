@@ -0,0 +1,18 @@
+const authMiddleware = require('./auth');
+const { hasPermission } = require('../config/permissions');
+const { forbidden } = require('../utils/httpError');
+
+// Checks JWT AND that the token carries every listed permission
+// Usage: router.post('/', requirePermission(PERMISSIONS.BUSES_WRITE), handler)
+const requirePermission = (...required) => [
+  authMiddleware,
+  (req, res, next) => {
+    const missing = required.filter(p => !hasPermission(req.user, p));
+    if (missing.length) {
+      return next(forbidden('Access denied.', missing.map(permission => ({ permission, message: 'is required' }))));
+    }
+    next();
+  }
+];
+
+module.exports = requirePermission;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { badRequest, unprocessable } = require('../utils/httpError');
+
+// Declarative request validation.
+//
+//   router.put('/:id', validate({ params: idParams, body: partial(busFields) }), handler)
+//
+// A schema maps field names to rules:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'objectId' | 'date' | 'array' | 'object' | 'any',
+//     required, nullable, enum, min, max, minLength, maxLength, minItems, maxItems,
+//     pattern, items (rule for array entries), fields (schema for nested objects), check(value) → error text }
+//
+// Bodies are whitelists: unknown fields are rejected and req.body is replaced by the
+// cleaned, type-coerced copy, so handlers can pass it on without mass-assignment risk.
+// Query strings allow unknown keys (paging, cache-busters) and are checked but not rewritten.
+// Bad path params are 400; anything wrong with the body or query is 422 with per-field details.
+
+const typeCheckers = {
+  string: (v) => (typeof v === 'string' ? v.trim() : undefined),
+  number: (v) => {
+    const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+    return typeof n === 'number' && Number.isFinite(n) ? n : undefined;
+  },
+  integer: (v) => {
+    const n = typeCheckers.number(v);
+    return Number.isInteger(n) ? n : undefined;
+  },
+  boolean: (v) => (typeof v === 'boolean' ? v : v === 'true' ? true : v === 'false' ? false : undefined),
+  objectId: (v) => (typeof v === 'string' && mongoose.isValidObjectId(v) ? v : undefined),
+  date: (v) => {
+    if (typeof v !== 'string' && typeof v !== 'number') return undefined;
+    const d = new Date(v);
+    return isNaN(d) ? undefined : d;
+  },
+  array: (v) => (Array.isArray(v) ? v : undefined),
+  object: (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : undefined),
+  any: (v) => v,
+};
+
+const typeNames = { objectId: 'a valid id', integer: 'an integer', array: 'an array', object: 'an object' };
+
+function checkValue(rule, value, path, errors) {
+  if (value === null && rule.nullable) return null;
+
+  const coerced = typeCheckers[rule.type || 'any'](value);
+  if (coerced === undefined) {
+    errors.push({ field: path, message: `must be ${typeNames[rule.type] || `a ${rule.type}`}` });
+    return undefined;
+  }
+  const fail = (message) => { errors.push({ field: path, message }); return undefined; };
+
+  if (rule.enum && !rule.enum.includes(coerced)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+  if (rule.min !== undefined && coerced < rule.min) return fail(`must be at least ${rule.min}`);
+  if (rule.max !== undefined && coerced > rule.max) return fail(`must be at most ${rule.max}`);
+  if (rule.minLength !== undefined && coerced.length < rule.minLength) {
+    return fail(`must be at least ${rule.minLength} characters`);
+  }
+  if (rule.maxLength !== undefined && coerced.length > rule.maxLength) {
+    return fail(`must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.pattern && !rule.pattern.test(coerced)) return fail(rule.patternMessage || 'has an invalid format');
+  if (rule.minItems !== undefined && coerced.length < rule.minItems) {
+    return fail(`must contain at least ${rule.minItems} item(s)`);
+  }
+  if (rule.maxItems !== undefined && coerced.length > rule.maxItems) {
+    return fail(`must contain at most ${rule.maxItems} item(s)`);
+  }
+
+  let result = coerced;
+  if (rule.type === 'array' && rule.items) {
+    result = coerced.map((item, i) => checkValue(rule.items, item, `${path}[${i}]`, errors));
+  }
+  if (rule.type === 'object' && rule.fields) {
+    result = checkObject(rule.fields, coerced, `${path}.`, errors, { allowUnknown: rule.allowUnknown });
+  }
+
+  if (rule.check) {
+    const message = rule.check(result);
+    if (message) return fail(message);
+  }
+  return result;
+}
+
+function checkObject(schema, input, prefix, errors, { allowUnknown = false } = {}) {
+  const source = input || {};
+  const output = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = source[field];
+    if (value === undefined || value === '') {
+      if (rule.required) errors.push({ field: prefix + field, message: 'is required' });
+      else if (rule.default !== undefined) output[field] = rule.default;
+      continue;
+    }
+    const checked = checkValue(rule, value, prefix + field, errors);
+    if (checked !== undefined) output[field] = checked;
+  }
+
+  if (!allowUnknown) {
+    for (const field of Object.keys(source)) {
+      if (!(field in schema)) errors.push({ field: prefix + field, message: 'is not allowed' });
+    }
+  }
+  return output;
+}
+
+// Same fields with nothing required — for PUT/PATCH bodies
+function partial(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([field, rule]) => [field, { ...rule, required: false, default: undefined }])
+  );
+}
+
+function validate({ params, query, body } = {}) {
+  return (req, res, next) => {
+    if (params) {
+      const errors = [];
+      checkObject(params, req.params, '', errors, { allowUnknown: true });
+      if (errors.length) return next(badRequest('Invalid request parameters', errors));
+    }
+
+    const errors = [];
+    if (query) checkObject(query, req.query, 'query.', errors, { allowUnknown: true });
+    let cleanBody;
+    if (body) {
+      if (req.body !== undefined && typeCheckers.object(req.body) === undefined) {
+        return next(badRequest('Request body must be a JSON object'));
+      }
+      cleanBody = checkObject(body, req.body, '', errors);
+    }
+    if (errors.length) return next(unprocessable('Validation failed', errors));
+
+    if (body) req.body = cleanBody;
+    next();
+  };
+}
+
+module.exports = { validate, partial };
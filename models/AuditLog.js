@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative changes (written by services/audit.js).
+// Entries can be inserted and read, never edited or removed through the app.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // null for unauthenticated actions (e.g. /setup)
+  actorRole: { type: String },
+  action: { type: String, required: true },   // e.g. "route.delete", "driver.assign"
+  entity: { type: String, required: true },   // model name: "Route", "Bus", "User" ...
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  changes: [{
+    _id: false,
+    field: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  meta: { type: mongoose.Schema.Types.Mixed }, // side effects, e.g. { busesUnassigned: 3 }
+  ip: { type: String },
+  userAgent: { type: String },
+  timestamp: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+
+function appendOnly() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+}
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Audit log entries cannot be modified or deleted'));
+  next();
+});
+for (const op of [
+  'updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+]) {
+  auditLogSchema.pre(op, { document: false, query: true }, appendOnly);
+}
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
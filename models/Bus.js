@@ -13,16 +13,43 @@ const busSchema = new mongoose.Schema({
     coordinates: { type: [Number], default: [0, 0] } // [longitude, latitude]
   },
   speed: { type: Number, default: 0 },              // km/h
+  avgSpeed: { type: Number, default: 0 },           // km/h, smoothed over recent fixes (used for ETAs)
   heading: { type: Number, default: 0 },            // degrees 0-360
-  isActive: { type: Boolean, default: false },      // is bus currently running
-  lastUpdated: { type: Date, default: Date.now },
+  // in_service | idle | stale | offline | out_of_service — see services/vehicleStatus.js
+  status: { type: String, enum: ['in_service', 'idle', 'stale', 'offline', 'out_of_service'], default: 'offline' },
+  statusChangedAt: { type: Date },
+  statusNote: { type: String },                     // why it was taken out of service
+  isActive: { type: Boolean, default: false },      // status is in_service or idle (kept for older clients)
+  lastUpdated: { type: Date, default: Date.now },   // last accepted location fix
+  lastMovedAt: { type: Date },                      // last fix that showed the bus moving
+  offRouteSince: { type: Date, default: null },     // first of the current run of off-route fixes
 
   // Which stop index the bus is currently near/heading to
   nextStopIndex: { type: Number, default: 0 },
+  atStopIndex: { type: Number, default: null },     // set while the bus is inside a stop's geofence
+  arrivedAt: { type: Date },                        // when it entered that geofence
+  lastDeparture: {                                  // last stop left — start of the segment being driven
+    stopIndex: { type: Number },
+    at: { type: Date }
+  },
+
+  // Scheduled trip being operated this shift (set at start-shift)
+  currentTrip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip', default: null },
+  tripServiceDate: { type: Date },                  // local midnight of the trip's service day
+
+  // Latest passenger load (driver report or APC counter) — see services/occupancy.js
+  occupancy: {
+    count: { type: Number },                        // passengers on board, when known
+    level: { type: String, enum: ['empty', 'many_seats', 'few_seats', 'standing', 'full'] },
+    loadFactor: { type: Number },                   // count / capacity
+    source: { type: String, enum: ['driver', 'apc'] },
+    updatedAt: { type: Date }
+  },
 
   createdAt: { type: Date, default: Date.now }
 });
 
 busSchema.index({ currentLocation: '2dsphere' });
+busSchema.index({ status: 1 });
 
 module.exports = mongoose.model('Bus', busSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Something about a running bus that dispatch should look at, e.g. a bus that
+// has stayed off its route. Open → acknowledged (someone is on it) → resolved.
+const fleetAlertSchema = new mongoose.Schema({
+  type: { type: String, enum: ['off_route'], required: true },
+  bus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  busNumber: { type: String },
+
+  status: { type: String, enum: ['open', 'acknowledged', 'resolved'], default: 'open' },
+  message: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed }, // type-specific, e.g. { distanceM, maxDistanceM, lat, lng }
+  openedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },  // last fix that still showed the problem
+
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acknowledgedAt: { type: Date },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset when it cleared by itself
+  resolvedAt: { type: Date },
+  resolution: { type: String, enum: ['cleared', 'manual', 'shift_ended'] },
+  note: { type: String }
+});
+
+fleetAlertSchema.index({ status: 1, openedAt: -1 });
+fleetAlertSchema.index({ bus: 1, type: 1, status: 1 });
+
+module.exports = mongoose.model('FleetAlert', fleetAlertSchema);
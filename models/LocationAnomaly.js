@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// How long anomalies are kept for review (TTL index, see LocationHistory)
+const RETENTION_DAYS = Number(process.env.LOCATION_ANOMALY_TTL_DAYS) || 90;
+
+// A location fix that failed a plausibility check (see services/locationIngest.js).
+// Rejected fixes never reached the bus; flagged ones were applied but look suspicious.
+const locationAnomalySchema = new mongoose.Schema({
+  bus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },  // account that sent the fix
+
+  verdict: { type: String, enum: ['rejected', 'flagged'], required: true },
+  reasons: [{ type: String }],                     // e.g. impossible_jump, off_route
+  messages: [{ type: String }],                    // human-readable, one per reason
+
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [longitude, latitude] as reported
+  },
+  accuracy: { type: Number },                      // metres, as reported by the device
+  speed: { type: Number },
+  heading: { type: Number },
+  impliedSpeedKmh: { type: Number },               // from the previous accepted fix
+  corridorDistanceM: { type: Number },             // from the route's stop polyline
+  recordedAt: { type: Date, default: Date.now },   // when the fix was taken
+
+  reviewStatus: { type: String, enum: ['pending', 'confirmed', 'dismissed'], default: 'pending' },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String }
+});
+
+locationAnomalySchema.index({ bus: 1, recordedAt: -1 });
+locationAnomalySchema.index({ reviewStatus: 1, recordedAt: -1 });
+locationAnomalySchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LocationAnomaly', locationAnomalySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// How long GPS breadcrumbs are kept. MongoDB's TTL monitor removes older points.
+// NOTE: changing this after the index exists needs a collMod on the collection
+// (or dropping the recordedAt index) — Mongoose won't alter an existing TTL index.
+const RETENTION_DAYS = Number(process.env.LOCATION_HISTORY_TTL_DAYS) || 30;
+
+// One document per accepted location fix — the breadcrumb trail of a bus
+const locationHistorySchema = new mongoose.Schema({
+  bus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [longitude, latitude]
+  },
+  speed: { type: Number, default: 0 },              // km/h
+  heading: { type: Number, default: 0 },            // degrees 0-360
+  accuracy: { type: Number },                       // metres, when the device reports it
+  distanceFromPrevKm: { type: Number, default: 0 }, // straight-line km from the previous breadcrumb
+  recordedAt: { type: Date, default: Date.now }
+});
+
+locationHistorySchema.index({ bus: 1, recordedAt: 1 });
+locationHistorySchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Oldest instant the trail still covers — anything before it has been expired
+locationHistorySchema.statics.dataAvailableFrom = function (now = new Date()) {
+  return new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = mongoose.model('LocationHistory', locationHistorySchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How long load samples are kept for reporting (TTL index, see LocationHistory)
+const RETENTION_DAYS = Number(process.env.OCCUPANCY_HISTORY_TTL_DAYS) || 180;
+
+// One document per occupancy report — the history behind load-factor reports
+const occupancySampleSchema = new mongoose.Schema({
+  bus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+  trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip' },
+  stopIndex: { type: Number },                     // stop the bus was at / heading to
+  count: { type: Number },
+  level: { type: String, required: true },
+  loadFactor: { type: Number },                    // count / capacity, estimated from level when no count
+  capacity: { type: Number },
+  boardings: { type: Number },                     // APC door counts, when the source is a counter
+  alightings: { type: Number },
+  source: { type: String, enum: ['driver', 'apc'], required: true },
+  recordedAt: { type: Date, default: Date.now }
+});
+
+occupancySampleSchema.index({ route: 1, recordedAt: 1 });
+occupancySampleSchema.index({ bus: 1, recordedAt: 1 });
+occupancySampleSchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OccupancySample', occupancySampleSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One-time code sent by SMS for a password reset (only the hash is stored)
+const passwordResetOtpSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+passwordResetOtpSchema.index({ user: 1, createdAt: -1 });
+passwordResetOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetOtp', passwordResetOtpSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a refresh token (only the SHA-256 hash is stored).
+// Each login starts a `family`; every refresh rotates to a new token in the
+// same family. Presenting an already-rotated token means it was copied, so the
+// whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: String, default: null }, // tokenHash of the rotated successor
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Mongo drops expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
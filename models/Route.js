@@ -4,7 +4,8 @@ const mongoose = require('mongoose');
 const routeStopSchema = new mongoose.Schema({
   stop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop', required: true },
   order: { type: Number, required: true }, // 0 = first stop
-  distanceFromPrev: { type: Number, default: 0 } // km from previous stop
+  distanceFromPrev: { type: Number, default: 0 }, // km from previous stop
+  dwellSeconds: { type: Number }                  // time spent at this stop; falls back to STOP_DWELL_SECONDS
 });
 
 const routeSchema = new mongoose.Schema({
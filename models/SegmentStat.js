@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Observed running time between two consecutive stops of a route,
+// bucketed by weekday (0 = Sunday) and hour of day (server local time).
+// Kept as running sums so each observation is a single atomic $inc.
+const segmentStatSchema = new mongoose.Schema({
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', required: true },
+  fromStop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop' },
+  toStop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop' },
+  fromIndex: { type: Number, required: true },   // order of the departure stop
+  toIndex: { type: Number, required: true },     // order of the arrival stop
+  weekday: { type: Number, min: 0, max: 6, required: true },
+  hour: { type: Number, min: 0, max: 23, required: true },
+  count: { type: Number, default: 0 },
+  sumSeconds: { type: Number, default: 0 },
+  sumSquares: { type: Number, default: 0 },      // Σ seconds² — for the standard deviation
+  minSeconds: { type: Number },
+  maxSeconds: { type: Number },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+segmentStatSchema.index({ route: 1, fromIndex: 1, toIndex: 1, weekday: 1, hour: 1 }, { unique: true });
+segmentStatSchema.index({ route: 1, hour: 1 });
+
+module.exports = mongoose.model('SegmentStat', segmentStatSchema);
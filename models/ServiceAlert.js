@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Causes and effects are the GTFS-Realtime Alert enums, lower-cased
+const SEVERITIES = ['info', 'warning', 'severe'];
+const CAUSES = [
+  'unknown_cause', 'other_cause', 'technical_problem', 'strike', 'demonstration', 'accident', 'holiday',
+  'weather', 'maintenance', 'construction', 'police_activity', 'medical_emergency', 'special_event',
+];
+const EFFECTS = [
+  'no_service', 'reduced_service', 'significant_delays', 'detour', 'additional_service', 'modified_service',
+  'other_effect', 'unknown_effect', 'stop_moved', 'no_effect', 'accessibility_issue',
+];
+
+// A disruption notice for passengers, e.g. "Stop closed for road works".
+// It applies to every linked route, stop and bus; with none linked it is network-wide.
+const serviceAlertSchema = new mongoose.Schema({
+  header: { type: String, required: true },        // short summary shown in lists
+  description: { type: String },
+  url: { type: String },                           // more information
+  severity: { type: String, enum: SEVERITIES, default: 'info' },
+  cause: { type: String, enum: CAUSES, default: 'unknown_cause' },
+  effect: { type: String, enum: EFFECTS, default: 'unknown_effect' },
+
+  // When the alert is shown; no periods = until switched off. Open-ended start/end allowed.
+  activePeriods: [{
+    _id: false,
+    start: { type: Date },
+    end: { type: Date }
+  }],
+
+  routes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Route' }],
+  stops: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Stop' }],
+  buses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Bus' }],
+
+  isActive: { type: Boolean, default: true },      // manual switch, independent of the periods
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+serviceAlertSchema.index({ isActive: 1, routes: 1 });
+serviceAlertSchema.index({ isActive: 1, stops: 1 });
+serviceAlertSchema.index({ isActive: 1, buses: 1 });
+
+const ServiceAlert = mongoose.model('ServiceAlert', serviceAlertSchema);
+ServiceAlert.SEVERITIES = SEVERITIES;
+ServiceAlert.CAUSES = CAUSES;
+ServiceAlert.EFFECTS = EFFECTS;
+
+module.exports = ServiceAlert;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { dateKey } = require('../utils/serviceTime');
+
+// Which days a set of trips runs on — e.g. WEEKDAY, WEEKEND, with holiday exceptions
+const calendarExceptionSchema = new mongoose.Schema({
+  date: { type: String, required: true, match: [/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD'] },
+  type: { type: String, enum: ['added', 'removed'], required: true }, // runs extra / does not run
+  note: { type: String }                                             // e.g. "Pongal"
+}, { _id: false });
+
+const serviceCalendarSchema = new mongoose.Schema({
+  serviceId: { type: String, required: true, unique: true }, // e.g. "WEEKDAY"
+  name: { type: String },
+  days: {
+    sunday: { type: Boolean, default: false },
+    monday: { type: Boolean, default: false },
+    tuesday: { type: Boolean, default: false },
+    wednesday: { type: Boolean, default: false },
+    thursday: { type: Boolean, default: false },
+    friday: { type: Boolean, default: false },
+    saturday: { type: Boolean, default: false }
+  },
+  startDate: { type: Date },   // optional validity window
+  endDate: { type: Date },
+  exceptions: [calendarExceptionSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Does this service run on the (local) day containing `date`?
+serviceCalendarSchema.methods.runsOn = function (date) {
+  const key = dateKey(date);
+  const exception = this.exceptions.find(e => e.date === key);
+  if (exception) return exception.type === 'added';
+
+  if (this.startDate && dateKey(this.startDate) > key) return false;
+  if (this.endDate && dateKey(this.endDate) < key) return false;
+  return Boolean(this.days[WEEKDAYS[date.getDay()]]);
+};
+
+serviceCalendarSchema.statics.WEEKDAYS = WEEKDAYS;
+
+module.exports = mongoose.model('ServiceCalendar', serviceCalendarSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One driver's clock-in → clock-out on one bus. Names and numbers are
+// snapshotted so timesheets still read correctly after buses, routes or
+// users are renamed or deleted.
+const shiftSchema = new mongoose.Schema({
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  bus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route' },
+  trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip' },
+  driverName: { type: String },
+  busNumber: { type: String },
+  routeNumber: { type: String },
+  routeName: { type: String },
+  tripCode: { type: String },
+
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  startedAt: { type: Date, default: Date.now },
+  endedAt: { type: Date },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // the driver, or dispatch on their behalf
+  endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Filled in at clock-out from the bus's LocationHistory
+  durationMinutes: { type: Number },
+  distanceKm: { type: Number },
+  locationFixes: { type: Number }
+});
+
+// At most one open shift per bus and per driver
+shiftSchema.index({ bus: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+shiftSchema.index({ driver: 1, startedAt: -1 });
+shiftSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
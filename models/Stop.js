@@ -8,7 +8,6 @@ const stopSchema = new mongoose.Schema({
     coordinates: { type: [Number], required: true } // [longitude, latitude]
   },
   address: { type: String },
-  qrCode: { type: String },   // base64 QR image stored here
   routes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Route' }], // which routes serve this stop
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now }
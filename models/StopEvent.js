@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Arrival / departure / skipped events recorded by stop-arrival detection
+const stopEventSchema = new mongoose.Schema({
+  bus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', required: true },
+  stop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop', required: true },
+  stopIndex: { type: Number, required: true },     // order of the stop within the route
+  type: { type: String, enum: ['arrival', 'departure', 'skipped'], required: true },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: [0, 0] } // [longitude, latitude] of the triggering fix
+  },
+  distanceFromStop: { type: Number },              // metres from the stop when the event fired
+  // Timetable adherence — only when the bus was operating a scheduled trip
+  trip: { type: mongoose.Schema.Types.ObjectId, ref: 'Trip' },
+  scheduledAt: { type: Date },                     // scheduled arrival (or departure) at this stop
+  delaySeconds: { type: Number },                  // + late / - early
+  timestamp: { type: Date, default: Date.now }
+});
+
+stopEventSchema.index({ bus: 1, timestamp: -1 });
+stopEventSchema.index({ route: 1, stop: 1, timestamp: -1 });
+
+module.exports = mongoose.model('StopEvent', stopEventSchema);
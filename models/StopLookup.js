@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// How long lookup events are kept for demand reports (TTL index, see LocationHistory)
+const RETENTION_DAYS = Number(process.env.STOP_LOOKUP_TTL_DAYS) || 365;
+
+// One anonymous passenger lookup of a stop (QR scan, stop page, arrivals board).
+// No user, IP or device is stored; the passenger origin is rounded to a ~100 m grid.
+const stopLookupSchema = new mongoose.Schema({
+  stop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop', required: true },
+  source: { type: String, enum: ['stop', 'stop_code', 'arrivals'], required: true }, // which endpoint was hit
+  hasPassengerLocation: { type: Boolean, default: false },
+  origin: {                                        // rounded passenger position, only when supplied
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+  },
+  walkingDistanceKm: { type: Number },             // passenger → stop
+  recordedAt: { type: Date, default: Date.now }
+});
+
+stopLookupSchema.index({ stop: 1, recordedAt: 1 });
+stopLookupSchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('StopLookup', stopLookupSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A passenger's "tell me when my bus is near" request for one stop.
+// Fires once (status → notified) and is removed by MongoDB after expiresAt.
+// SMS subscriptions start as pending until the passenger confirms the code texted to them.
+const stopSubscriptionSchema = new mongoose.Schema({
+  stop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop', required: true },
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', default: null }, // null = any route serving the stop
+
+  // Either or both; the first one reached triggers the notification
+  thresholdMinutes: { type: Number },             // bus ETA to the stop ≤ this
+  thresholdStops: { type: Number },               // bus is this many stops away or closer
+
+  channel: { type: String, enum: ['webpush', 'webhook', 'sms', 'console'], required: true },
+  target: {
+    pushSubscription: { type: mongoose.Schema.Types.Mixed }, // browser PushSubscription JSON (webpush)
+    url: { type: String },                                   // webhook
+    phone: { type: String },                                 // sms
+  },
+
+  status: { type: String, enum: ['pending', 'active', 'notified', 'failed', 'cancelled'], default: 'active' },
+  verification: {                                  // SMS confirmation code (hash only) while pending
+    codeHash: { type: String },
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date }
+  },
+  notifiedAt: { type: Date },
+  notifiedBus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus' },
+  notifiedEtaMinutes: { type: Number },
+  error: { type: String },                         // last delivery error when status is failed
+
+  manageTokenHash: { type: String, required: true }, // lets the passenger view/cancel without an account
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+stopSubscriptionSchema.index({ status: 1, stop: 1 });
+stopSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StopSubscription', stopSubscriptionSchema);
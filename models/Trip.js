@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { formatServiceTime } = require('../utils/serviceTime');
+
+// Scheduled arrival/departure at one stop of the route.
+// Times are seconds after midnight of the service day (may exceed 24h).
+const stopTimeSchema = new mongoose.Schema({
+  stop: { type: mongoose.Schema.Types.ObjectId, ref: 'Stop', required: true },
+  stopIndex: { type: Number, required: true }, // order of the stop within the route
+  arrival: { type: Number, required: true },
+  departure: { type: Number, required: true }
+}, { _id: false, id: false, toJSON: { virtuals: true } });
+
+// Human-readable "HH:MM:SS" alongside the stored seconds
+stopTimeSchema.virtual('arrivalTime').get(function () { return formatServiceTime(this.arrival); });
+stopTimeSchema.virtual('departureTime').get(function () { return formatServiceTime(this.departure); });
+
+// One scheduled run of a route on the days its service calendar is active
+const tripSchema = new mongoose.Schema({
+  tripCode: { type: String, required: true, unique: true }, // e.g. "19C_0715" — GTFS trip_id
+  route: { type: mongoose.Schema.Types.ObjectId, ref: 'Route', required: true },
+  service: { type: mongoose.Schema.Types.ObjectId, ref: 'ServiceCalendar', required: true },
+  headsign: { type: String },                 // e.g. "Tambaram"
+  stopTimes: [stopTimeSchema],                // ordered by stopIndex
+  isActive: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+tripSchema.index({ route: 1, service: 1 });
+tripSchema.index({ 'stopTimes.stop': 1 });
+
+module.exports = mongoose.model('Trip', tripSchema);
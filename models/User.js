@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
@@ -10,8 +11,10 @@ const userSchema = new mongoose.Schema({
     match: [/^\+?[0-9]{10,15}$/, 'Enter a valid phone number']
   },
   password: { type: String, required: true },
-  role: { type: String, enum: ['driver', 'admin'], default: 'driver' },
+  role: { type: String, enum: ROLES, default: 'driver' },
   assignedBus: { type: mongoose.Schema.Types.ObjectId, ref: 'Bus' },
+  // Bumped to invalidate every access token issued so far (logout everywhere, password reset)
+  tokenVersion: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// How long the delivery log is kept (TTL index, see LocationHistory)
+const RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_TTL_DAYS) || 30;
+
+// One event sent (or being retried) to one webhook
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  eventId: { type: String, required: true },       // same id for every webhook receiving the event
+  eventType: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // the JSON body, exactly as signed
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now }, // pending only
+  lastAttemptAt: { type: Date },
+  responseStatus: { type: Number },                // HTTP status of the last attempt
+  lastError: { type: String },
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../services/events');
+
+// An external endpoint that receives fleet events (see services/webhooks.js)
+const webhookSubscriptionSchema = new mongoose.Schema({
+  name: { type: String, required: true },          // e.g. "Depot management system"
+  url: { type: String, required: true },           // https endpoint that receives POSTs
+  events: {
+    type: [{ type: String, enum: [...EVENT_TYPES, '*'] }], // '*' = every event
+    validate: [v => v.length > 0, 'At least one event is required']
+  },
+  secret: { type: String, required: true, select: false }, // HMAC key for X-Webhook-Signature
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
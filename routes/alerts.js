@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const ServiceAlert = require('../models/ServiceAlert');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { validate, partial } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const { alertFields, alertsQuery } = require('../validators/alerts');
+const { activeFilter, activeAlertsFor, toPublic } = require('../services/serviceAlerts');
+const { recordAudit } = require('../services/audit');
+const { notFound, unprocessable } = require('../utils/httpError');
+
+const LINKED_MODELS = { routes: Route, stops: Stop, buses: Bus };
+
+// Every linked route, stop and bus must exist
+async function checkLinks(body) {
+  const details = [];
+  for (const [field, Model] of Object.entries(LINKED_MODELS)) {
+    if (!body[field]?.length) continue;
+    const unique = [...new Set(body[field])];
+    const found = await Model.countDocuments({ _id: { $in: unique } });
+    if (found !== unique.length) details.push({ field, message: 'contains an unknown id' });
+    body[field] = unique;
+  }
+  if (details.length) throw unprocessable('Validation failed', details);
+}
+
+// GET /api/alerts - alerts active right now (public)
+// Optional query: ?route=<id>&stop=<id>&bus=<id> — only alerts for those (network-wide ones included)
+router.get('/', validate({ query: alertsQuery }), async (req, res, next) => {
+  try {
+    const { route, stop, bus } = req.query;
+    if (route || stop || bus) {
+      const alerts = await activeAlertsFor({
+        routes: route ? [route] : [],
+        stops: stop ? [stop] : [],
+        buses: bus ? [bus] : []
+      });
+      return res.json(alerts);
+    }
+
+    const alerts = await ServiceAlert.find(activeFilter()).sort({ createdAt: -1 });
+    res.json(alerts.map(toPublic));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/alerts/all - every alert incl. switched-off and expired ones (alerts:write)
+router.get('/all', requirePermission(PERMISSIONS.ALERTS_WRITE), async (req, res, next) => {
+  try {
+    const alerts = await ServiceAlert.find()
+      .sort({ createdAt: -1 })
+      .populate('routes', 'name routeNumber')
+      .populate('stops', 'name stopCode')
+      .populate('buses', 'busNumber busName')
+      .populate('createdBy', 'name');
+    res.json(alerts);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/alerts/:id (public)
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const alert = await ServiceAlert.findById(req.params.id)
+      .populate('routes', 'name routeNumber')
+      .populate('stops', 'name stopCode')
+      .populate('buses', 'busNumber busName');
+    if (!alert) throw notFound('Alert not found');
+    res.json(toPublic(alert));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/alerts (alerts:write)
+// Body: { header, description?, url?, severity?, cause?, effect?,
+//         activePeriods?: [{ start?, end? }], routes?: [id], stops?: [id], buses?: [id], isActive? }
+// Nothing linked = network-wide. No activePeriods = active until switched off.
+router.post('/', requirePermission(PERMISSIONS.ALERTS_WRITE), validate({ body: alertFields }), async (req, res, next) => {
+  try {
+    await checkLinks(req.body);
+    const alert = await ServiceAlert.create({ ...req.body, createdBy: req.user.id });
+    await recordAudit(req, { action: 'alert.create', entity: 'ServiceAlert', after: alert });
+    res.status(201).json(alert);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/alerts/:id (alerts:write) — e.g. { isActive: false } once the road reopens
+router.put('/:id', requirePermission(PERMISSIONS.ALERTS_WRITE), validate({ params: idParams, body: partial(alertFields) }), async (req, res, next) => {
+  try {
+    const before = await ServiceAlert.findById(req.params.id).lean();
+    if (!before) throw notFound('Alert not found');
+    await checkLinks(req.body);
+
+    const alert = await ServiceAlert.findByIdAndUpdate(
+      req.params.id,
+      { ...req.body, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+    await recordAudit(req, { action: 'alert.update', entity: 'ServiceAlert', before, after: alert });
+    res.json(alert);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/alerts/:id (alerts:write)
+router.delete('/:id', requirePermission(PERMISSIONS.ALERTS_WRITE), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const alert = await ServiceAlert.findByIdAndDelete(req.params.id);
+    if (!alert) throw notFound('Alert not found');
+    await recordAudit(req, { action: 'alert.delete', entity: 'ServiceAlert', before: alert });
+    res.json({ message: 'Alert deleted.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
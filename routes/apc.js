@@ -0,0 +1,76 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Bus = require('../models/Bus');
+const requireApiKey = require('../middleware/apiKey');
+const { validate } = require('../middleware/validate');
+const { apcCount } = require('../validators/apc');
+const { applyOccupancy, recordOccupancySample, currentOccupancy } = require('../services/occupancy');
+const { broadcastBusLocation } = require('../services/socket');
+const { notFound, unprocessable } = require('../utils/httpError');
+
+// POST /api/apc/counts - automatic passenger counter reading (X-API-Key from APC_API_KEYS)
+// Body: { busId | busNumber, boardings?, alightings?, count?, level?, timestamp? }
+// Without `count`, the on-board count is carried forward from the last reading.
+// A reading older than the one the bus already shows only joins the history.
+router.post('/counts', requireApiKey('APC_API_KEYS'), validate({ body: apcCount }), async (req, res, next) => {
+  try {
+    const { busId, busNumber, boardings, alightings, level, timestamp } = req.body;
+    if (!busId && !busNumber) throw unprocessable('Provide busId or busNumber');
+    if (req.body.count === undefined && boardings === undefined && alightings === undefined && !level) {
+      throw unprocessable('Provide count, boardings/alightings or level');
+    }
+
+    const at = timestamp || new Date();
+    const filter = busId ? { _id: busId } : { busNumber };
+    const newer = { $or: [{ 'occupancy.updatedAt': null }, { 'occupancy.updatedAt': { $lt: at } }] };
+    let count = req.body.count;
+    const isDelta = count === undefined && (boardings !== undefined || alightings !== undefined);
+
+    // Counters on several doors report at once, so a delta moves the stored count in
+    // a single update instead of read-add-write (which would lose one of the readings)
+    const bus = isDelta
+      ? await Bus.findOneAndUpdate({ ...filter, ...newer }, [{
+        $set: {
+          'occupancy.count': {
+            $max: [0, { $add: [{ $ifNull: ['$occupancy.count', 0] }, (boardings || 0) - (alightings || 0)] }]
+          }
+        }
+      }], { new: true })
+      : await Bus.findOne({ ...filter, ...newer });
+
+    if (!bus) {
+      const current = await Bus.findOne(filter);
+      if (!current) throw notFound('Bus not found');
+      // A delayed reading: history only. Door counts alone say nothing about the load
+      // back then, so those are filed under the level the bus shows now.
+      await recordOccupancySample(current, {
+        count,
+        level: level || (count === undefined ? current.occupancy?.level || 'empty' : undefined),
+        boardings,
+        alightings,
+        source: 'apc',
+        at
+      });
+      return res.json({ message: 'Count recorded in history, a newer reading is already shown', occupancy: currentOccupancy(current) });
+    }
+    if (isDelta) count = bus.occupancy.count;
+
+    await applyOccupancy(bus, { count, level, boardings, alightings, source: 'apc', at });
+    // Only lands while no newer reading has been shown meanwhile; after a delta, also
+    // only while the count is still ours (another delta's write wins)
+    bus.$where = isDelta ? { ...newer, 'occupancy.count': count } : newer;
+    try {
+      await bus.save();
+    } catch (err) {
+      if (!(err instanceof mongoose.Error.DocumentNotFoundError)) throw err;
+    }
+    broadcastBusLocation(bus).catch(err => console.error('Broadcast error:', err.message));
+
+    res.json({ message: 'Count recorded', occupancy: currentOccupancy(bus) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
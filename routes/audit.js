@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const { auditQuery } = require('../validators/audit');
+const { notFound } = require('../utils/httpError');
+
+// GET /api/audit - administrative changes, newest first (audit:read)
+// Optional query: ?actor=<userId>&entity=Route&entityId=<id>&action=route.delete&from=ISO&to=ISO&limit=50&page=1
+// `action` also matches a prefix: ?action=route. lists every route change
+router.get('/', requirePermission(PERMISSIONS.AUDIT_READ), validate({ query: auditQuery }), async (req, res, next) => {
+  try {
+    const { actor, entity, entityId, action, from, to } = req.query;
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (entity) filter.entity = entity;
+    if (entityId) filter.entityId = entityId;
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name phone role'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ total, page, limit, entries });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/audit/:id - single entry (audit:read)
+router.get('/:id', requirePermission(PERMISSIONS.AUDIT_READ), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).populate('actor', 'name phone role');
+    if (!entry) throw notFound('Audit entry not found');
+    res.json(entry);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
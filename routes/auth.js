@@ -1,194 +1,327 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { issueSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+const { smsAvailable } = require('../services/sms');
+const { permissionsForRole } = require('../config/permissions');
+const { HttpError, badRequest, forbidden, notFound, conflict } = require('../utils/httpError');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/auth');
+const { recordAudit } = require('../services/audit');
+const { emitFleetEvent } = require('../services/events');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Guessing limits for the endpoints that take a password or code without a token:
+// per client (before validation) and per account phone (after it, on the clean body)
+const MINUTE_MS = 60 * 1000;
+const limitPerClient = (max, message) => rateLimit({ windowMs: 15 * MINUTE_MS, max, message });
+const limitPerPhone = (max, message) =>
+  rateLimit({ windowMs: 60 * MINUTE_MS, max, key: (req) => req.body.phone, message });
+
+const loginLimits = {
+  perClient: limitPerClient(30, 'Too many login attempts, try again later'),
+  perPhone: limitPerPhone(10, 'Too many login attempts for this account, try again later')
+};
+const forgotLimits = {
+  perClient: limitPerClient(10, 'Too many reset requests, try again later'),
+  perPhone: limitPerPhone(5, 'Too many reset requests for this account, try again later')
+};
+const resetLimits = {
+  perClient: limitPerClient(20, 'Too many reset attempts, try again later'),
+  perPhone: limitPerPhone(10, 'Too many reset attempts for this account, try again later')
+};
 
 // ─── Register ─────────────────────────────────────────────────────────────────
 // POST /api/auth/register
 // Body: { name, phone, password }
-router.post('/register', async (req, res) => {
+router.post('/register', validate({ body: schemas.newAccount }), async (req, res, next) => {
   try {
     const { name, phone, password } = req.body;
 
-    if (!name || !phone || !password) {
-      return res.status(400).json({ message: 'Name, phone, and password are required' });
-    }
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters' });
-    }
-
     const existing = await User.findOne({ phone });
     if (existing) {
-      return res.status(400).json({ message: 'This phone number is already registered. Please login.' });
+      throw conflict('This phone number is already registered. Please login.');
     }
 
     const user = new User({ name, phone, password });
     await user.save();
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+    const session = await issueSession(user, req);
 
     res.status(201).json({
-      token,
+      ...session,
       user: { id: user._id, name: user.name, phone: user.phone, role: user.role }
     });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // ─── Login ────────────────────────────────────────────────────────────────────
 // POST /api/auth/login
 // Body: { phone, password }
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimits.perClient, validate({ body: schemas.login }), loginLimits.perPhone, async (req, res, next) => {
   try {
     const { phone, password } = req.body;
 
-    if (!phone || !password) {
-      return res.status(400).json({ message: 'Phone and password are required' });
-    }
-
     const user = await User.findOne({ phone }).populate('assignedBus');
     if (!user) {
-      return res.status(400).json({ message: 'No account found with this phone number.' });
+      throw badRequest('No account found with this phone number.');
     }
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Incorrect password.' });
+      throw badRequest('Incorrect password.');
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+    const session = await issueSession(user, req);
 
     res.json({
-      token,
+      ...session,
       user: {
         id: user._id,
         name: user.name,
         phone: user.phone,
         role: user.role,
+        permissions: permissionsForRole(user.role),
         assignedBus: user.assignedBus
       }
     });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 module.exports = router;
 
 
-// ─── Setup: Create FIRST admin (only works when zero admins exist) ─────────────
+// ─── Setup: Create FIRST admin (only works when zero admins exist) ────────────
 // POST /api/auth/setup
 // Body: { name, phone, password }
 // No auth required — but blocked once any admin exists in DB
-const adminOnly = require('../middleware/adminOnly');
+const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
 
-router.post('/setup', async (req, res) => {
+router.post('/setup', validate({ body: schemas.newAccount }), async (req, res, next) => {
   try {
     // Block if any admin already exists
     const existingAdmin = await User.findOne({ role: 'admin' });
     if (existingAdmin) {
-      return res.status(403).json({
-        message: 'Setup already complete. Use /create-admin with an admin token to add more admins.'
-      });
+      throw forbidden('Setup already complete. Use /create-admin with an admin token to add more admins.');
     }
 
     const { name, phone, password } = req.body;
-    if (!name || !phone || !password) {
-      return res.status(400).json({ message: 'Name, phone, and password are required' });
-    }
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters' });
-    }
-
     const existing = await User.findOne({ phone });
     if (existing) {
-      return res.status(400).json({ message: 'This phone number is already registered.' });
+      throw conflict('This phone number is already registered.');
     }
 
     const admin = new User({ name, phone, password, role: 'admin' });
     await admin.save();
+    await recordAudit(req, { action: 'admin.setup', entity: 'User', after: admin, actor: admin });
 
-    const token = jwt.sign(
-      { id: admin._id, role: admin.role },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+    const session = await issueSession(admin, req);
 
     res.status(201).json({
       message: 'First admin created successfully!',
-      token,
+      ...session,
       user: { id: admin._id, name: admin.name, phone: admin.phone, role: admin.role }
     });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// ─── Create Admin (existing admin only) ──────────────────────────────────────
+// ─── Create Admin (users:manage) ──────────────────────────────────────────────
 // POST /api/auth/create-admin
 // Headers: Authorization: Bearer <admin_token>
 // Body: { name, phone, password }
-router.post('/create-admin', adminOnly, async (req, res) => {
+router.post('/create-admin', requirePermission(PERMISSIONS.USERS_MANAGE), validate({ body: schemas.newAccount }), async (req, res, next) => {
   try {
     const { name, phone, password } = req.body;
 
-    if (!name || !phone || !password) {
-      return res.status(400).json({ message: 'Name, phone, and password are required' });
-    }
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters' });
-    }
-
     const existing = await User.findOne({ phone });
     if (existing) {
-      return res.status(400).json({ message: 'This phone number is already registered.' });
+      throw conflict('This phone number is already registered.');
     }
 
     const admin = new User({ name, phone, password, role: 'admin' });
     await admin.save();
+    await recordAudit(req, { action: 'admin.create', entity: 'User', after: admin });
 
     res.status(201).json({
       message: `Admin "${admin.name}" created successfully.`,
       user: { id: admin._id, name: admin.name, phone: admin.phone, role: admin.role }
     });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// ─── List all admins (admin only) ────────────────────────────────────────────
+// ─── List all admins (users:manage) ───────────────────────────────────────────
 // GET /api/auth/admins
 // Headers: Authorization: Bearer <admin_token>
-router.get('/admins', adminOnly, async (req, res) => {
+router.get('/admins', requirePermission(PERMISSIONS.USERS_MANAGE), async (req, res, next) => {
   try {
     const admins = await User.find({ role: 'admin' }, '-password');
     res.json(admins);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// ─── Delete an admin (admin only, cannot delete self) ────────────────────────
+// ─── Delete an admin (users:manage, cannot delete self) ───────────────────────
 // DELETE /api/auth/admins/:id
 // Headers: Authorization: Bearer <admin_token>
-router.delete('/admins/:id', adminOnly, async (req, res) => {
+router.delete('/admins/:id', requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: idParams }), async (req, res, next) => {
   try {
     if (req.params.id === req.user.id) {
-      return res.status(400).json({ message: 'You cannot delete your own admin account.' });
+      throw badRequest('You cannot delete your own admin account.');
     }
     const admin = await User.findOneAndDelete({ _id: req.params.id, role: 'admin' });
-    if (!admin) return res.status(404).json({ message: 'Admin not found.' });
+    if (!admin) throw notFound('Admin not found.');
+    await recordAudit(req, { action: 'admin.delete', entity: 'User', before: admin });
     res.json({ message: `Admin "${admin.name}" deleted.` });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
+  }
+});
+
+// ─── Roles & permissions ──────────────────────────────────────────────────────
+// GET /api/auth/roles — every role and the permissions it grants
+router.get('/roles', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+// GET /api/auth/users?role=dispatcher — list staff accounts (users:manage)
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), validate({ query: schemas.usersQuery }), async (req, res, next) => {
+  try {
+    const filter = req.query.role ? { role: req.query.role } : {};
+    const users = await User.find(filter, '-password').sort({ role: 1, name: 1 });
+    res.json(users);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/auth/users/:id/role — change a user's role (users:manage, not your own)
+// Body: { role }  — takes effect on the user's next request
+router.put('/users/:id/role', requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: idParams, body: schemas.changeRole }), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    if (req.params.id === req.user.id) {
+      throw badRequest('You cannot change your own role.');
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) throw notFound('User not found.');
+    const before = { role: user.role, assignedBus: user.assignedBus || null };
+
+    // Only drivers operate buses — release the bus when someone stops being one
+    if (user.role === 'driver' && role !== 'driver' && user.assignedBus) {
+      const Bus = require('../models/Bus');
+      await Bus.findByIdAndUpdate(user.assignedBus, { driver: null });
+      user.assignedBus = null;
+    }
+
+    user.role = role;
+    await user.save();
+    if (before.assignedBus && !user.assignedBus) {
+      emitFleetEvent('driver.unassigned', { driverId: user._id, busId: before.assignedBus, by: req.user.id, reason: 'role_change' });
+    }
+    await recordAudit(req, {
+      action: 'user.role_change', entity: 'User', entityId: user._id,
+      before, after: { role: user.role, assignedBus: user.assignedBus || null }
+    });
+
+    res.json({
+      message: `${user.name} is now ${role}.`,
+      user: { id: user._id, name: user.name, phone: user.phone, role: user.role, permissions: ROLE_PERMISSIONS[role] }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+// POST /api/auth/refresh — swap a refresh token for a new access + refresh token
+// Body: { refreshToken }  — each refresh token works once
+router.post('/refresh', validate({ body: schemas.refreshToken }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    const { session } = await rotateSession(refreshToken, req);
+    res.json(session);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/logout — end this device's session
+// Body: { refreshToken }
+router.post('/logout', validate({ body: schemas.refreshToken }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    await revokeSession(refreshToken);
+    res.json({ message: 'Logged out.' });
+  } catch (err) {
+    next(err);
   }
-});
\ No newline at end of file
+});
+
+// POST /api/auth/logout-all — end every session of the logged-in user
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out on all devices.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/users/:id/revoke-sessions — sign a user out everywhere, e.g. a lost phone (users:manage)
+router.post('/users/:id/revoke-sessions', requirePermission(PERMISSIONS.USERS_MANAGE), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id, 'name');
+    if (!user) throw notFound('User not found.');
+
+    const revoked = await revokeAllSessions(user._id);
+    await recordAudit(req, {
+      action: 'user.revoke_sessions', entity: 'User', entityId: user._id,
+      meta: { revokedRefreshTokens: revoked }
+    });
+    res.json({ message: `All sessions for ${user.name} revoked.`, revokedRefreshTokens: revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Password reset (SMS OTP) ─────────────────────────────────────────────────
+// POST /api/auth/forgot-password — text a reset code to the phone
+// Body: { phone }  — same response whether or not the number is registered
+router.post('/forgot-password', forgotLimits.perClient, validate({ body: schemas.forgotPassword }), forgotLimits.perPhone, async (req, res, next) => {
+  try {
+    const { phone } = req.body;
+    // Refused up front, for every number, so the answer can't reveal which are registered
+    if (!smsAvailable()) throw new HttpError(503, 'Password reset by SMS is not available');
+    await requestPasswordReset(phone);
+    res.json({ message: 'If this number is registered, a reset code has been sent.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/auth/reset-password — set a new password with the texted code
+// Body: { phone, otp, newPassword }  — signs the account out on every device
+router.post('/reset-password', resetLimits.perClient, validate({ body: schemas.resetPassword }), resetLimits.perPhone, async (req, res, next) => {
+  try {
+    const { phone, otp, newPassword } = req.body;
+    const user = await resetPassword(phone, otp, newPassword);
+    await recordAudit(req, { action: 'user.password_reset', entity: 'User', entityId: user._id, actor: user });
+    res.json({ message: 'Password updated. Please log in with your new password.' });
+  } catch (err) {
+    next(err);
+  }
+});
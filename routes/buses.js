@@ -1,238 +1,363 @@
 const express = require('express');
 const router = express.Router();
 const Bus = require('../models/Bus');
-const Stop = require('../models/Stop');
-const Route = require('../models/Route');
-const authMiddleware = require('../middleware/auth');
-
-// Haversine formula - calculate distance between two lat/lng points in km
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-}
-
-// Calculate ETA in minutes from bus current location to a target stop
-function calculateETA(busLat, busLon, stopLat, stopLon, speedKmh) {
-  const distance = haversineDistance(busLat, busLon, stopLat, stopLon);
-  const effectiveSpeed = speedKmh > 5 ? speedKmh : 20; // fallback 20km/h if stopped/slow
-  const timeHours = distance / effectiveSpeed;
-  return {
-    distanceKm: Math.round(distance * 100) / 100,
-    etaMinutes: Math.round(timeHours * 60)
-  };
-}
-
-// GET /api/buses/all - Get ALL buses regardless of status (admin)
-router.get("/all", authMiddleware, async (req, res) => {
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const LocationHistory = require('../models/LocationHistory');
+const StopEvent = require('../models/StopEvent');
+const Shift = require('../models/Shift');
+const { parseDateRange } = require('../utils/dateRange');
+const { parseNearbyQuery } = require('../utils/geo');
+const { WALKING_SPEED_KMH } = require('../utils/eta');
+const { buildStopArrivals } = require('../services/stopArrivals');
+const { recordAudit } = require('../services/audit');
+const { LIVE_STATUSES, liveFilter, transition, announceTransition } = require('../services/vehicleStatus');
+const { recordStopLookup } = require('../services/stopLookups');
+const { badRequest, conflict, notFound, unprocessable } = require('../utils/httpError');
+const { validate, partial } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const { busFields, busStatus, fleetQuery, nearbyBusesQuery, stopParams, stopArrivalsQuery, stopEventsQuery, trackQuery, replayQuery } = require('../validators/buses');
+
+// GET /api/buses/all - Get ALL buses regardless of status (buses:read)
+// Optional query: ?status=in_service|idle|stale|offline|out_of_service
+// Driver phone numbers are only included for drivers:read
+router.get("/all", requirePermission(PERMISSIONS.BUSES_READ), validate({ query: fleetQuery }), async (req, res, next) => {
   try {
-    const buses = await Bus.find()
+    const driverFields = hasPermission(req.user, PERMISSIONS.DRIVERS_READ) ? "name phone" : "name";
+    const buses = await Bus.find(req.query.status ? { status: req.query.status } : {})
       .populate("route", "name routeNumber")
-      .populate("driver", "name phone");
+      .populate("driver", driverFields);
     res.json(buses);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// GET /api/buses - Get all active buses (public)
-router.get('/', async (req, res) => {
+// GET /api/buses - Buses in service or idle (public)
+// Status is kept current by the background worker in services/vehicleStatus.js
+router.get('/', async (req, res, next) => {
   try {
-    // Auto mark buses inactive if no update in 2 minutes
-    await Bus.updateMany(
-      { lastUpdated: { $lt: new Date(Date.now() - 2 * 60 * 1000) }, isActive: true },
-      { isActive: false }
-    );
-
-    const buses = await Bus.find({ isActive: true })
+    const buses = await Bus.find(liveFilter())
       .populate('route', 'name routeNumber stops')
       .populate('driver', 'name');
 
     res.json(buses);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // GET /api/buses/stop/:stopId
 // Optional query: ?passengerLat=13.08&passengerLng=80.27
 //
+// Bus ETA follows the route's stop sequence (see services/stopArrivals.js)
+//
 // PASSENGER MODE (when lat/lng provided):
-//   - Bus ETA calculated bus → passenger position
 //   - Walking distance + time calculated passenger → stop (5 km/h walk)
 //   - totalJourneyMinutes = bus ETA + walk time (full door-to-bus time)
 //   - Passenger dot shown on map, dashed walk line drawn to stop
 //
 // STOP MODE (no passenger coords):
-//   - Bus ETA calculated bus → stop  (original behaviour)
-router.get('/stop/:stopId', async (req, res) => {
+//   - Bus ETA calculated bus → stop
+router.get('/stop/:stopId', validate({ params: stopParams, query: stopArrivalsQuery }), async (req, res, next) => {
   try {
-    const stop = await Stop.findById(req.params.stopId).populate('routes');
-    if (!stop) return res.status(404).json({ message: 'Stop not found' });
-
-    const stopLat = stop.location.coordinates[1];
-    const stopLon = stop.location.coordinates[0];
-
-    // --- Optional passenger location ---
-    const pLat = req.query.passengerLat ? parseFloat(req.query.passengerLat) : null;
-    const pLng = req.query.passengerLng ? parseFloat(req.query.passengerLng) : null;
-    const hasPassenger = pLat !== null && pLng !== null && !isNaN(pLat) && !isNaN(pLng);
-
-    // Walking: passenger → stop at 5 km/h
-    let walkingDistanceKm = 0;
-    let walkingMinutes    = 0;
-    if (hasPassenger) {
-      walkingDistanceKm = Math.round(haversineDistance(pLat, pLng, stopLat, stopLon) * 100) / 100;
-      walkingMinutes    = Math.ceil((walkingDistanceKm / 5) * 60);
-    }
+    const payload = await buildStopArrivals(req.params.stopId, {
+      passengerLat: req.query.passengerLat ? parseFloat(req.query.passengerLat) : null,
+      passengerLng: req.query.passengerLng ? parseFloat(req.query.passengerLng) : null,
+    });
+    if (!payload) throw notFound('Stop not found');
+    res.json(payload);
 
-    // Bus ETA target: passenger position if available, else the stop itself
-    const etaTargetLat = hasPassenger ? pLat : stopLat;
-    const etaTargetLon = hasPassenger ? pLng : stopLon;
-
-    const routeIds = stop.routes.map(r => r._id);
-    const buses = await Bus.find({
-      isActive: true,
-      route: { $in: routeIds }
-    }).populate({
-      path: 'route',
-      populate: { path: 'stops.stop' }
-    }).populate('driver', 'name');
-
-    const busesWithETA = [];
-
-    for (const bus of buses) {
-      const route = bus.route;
-      if (!route || !route.stops) continue;
-
-      const targetStopInRoute = route.stops.find(
-        s => s.stop && s.stop._id.toString() === req.params.stopId
-      );
-      if (!targetStopInRoute) continue;
-      if (targetStopInRoute.order < bus.nextStopIndex) continue;
-
-      const busLat = bus.currentLocation.coordinates[1];
-      const busLon = bus.currentLocation.coordinates[0];
-
-      // Primary ETA: bus → passenger (or stop)
-      const { distanceKm, etaMinutes } = calculateETA(busLat, busLon, etaTargetLat, etaTargetLon, bus.speed);
-
-      // Always also calculate bus → stop distance for display
-      const distanceToStop = Math.round(haversineDistance(busLat, busLon, stopLat, stopLon) * 100) / 100;
-
-      // Full journey time a passenger experiences: wait for bus + walk to stop
-      const totalJourneyMinutes = hasPassenger ? etaMinutes + walkingMinutes : etaMinutes;
-
-      const routePolyline = route.stops
-        .filter(s => s.stop && s.stop.location)
-        .sort((a, b) => a.order - b.order)
-        .map(s => ({
-          name: s.stop.name,
-          stopCode: s.stop.stopCode,
-          order: s.order,
-          lat: s.stop.location.coordinates[1],
-          lng: s.stop.location.coordinates[0],
-          isScannedStop: s.stop._id.toString() === req.params.stopId,
-          isPassed: s.order < bus.nextStopIndex,
-        }));
-
-      busesWithETA.push({
-        _id: bus._id,
-        busNumber: bus.busNumber,
-        busName: bus.busName,
-        routeName: route.name,
-        routeNumber: route.routeNumber,
-        driver: bus.driver?.name || 'Unknown',
-        currentLocation: bus.currentLocation,
-        speed: bus.speed,
-        distanceKm,           // bus → passenger (or stop if no passenger)
-        distanceToStop,        // bus → stop (always)
-        etaMinutes,            // bus ETA to passenger / stop
-        totalJourneyMinutes,   // full passenger journey time
-        lastUpdated: bus.lastUpdated,
-        stopsAway: targetStopInRoute.order - bus.nextStopIndex,
-        routePolyline,
-      });
-    }
+    // Anonymous demand data for /api/reports/stop-demand
+    recordStopLookup(req, payload.stop._id, {
+      source: 'arrivals',
+      passengerLat: payload.passenger?.lat,
+      passengerLng: payload.passenger?.lng,
+      walkingDistanceKm: payload.passenger?.walkingDistanceKm
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/buses/nearby?lat=11.66&lng=78.14 (public) - buses around a point, nearest first
+// Optional: &radius=2000 (metres, max 10000) &limit=20 &routeNumber=19C &activeOnly=false
+router.get('/nearby', validate({ query: nearbyBusesQuery }), async (req, res, next) => {
+  try {
+    const near = parseNearbyQuery(req.query, { defaultRadius: 2000, maxRadius: 10000 });
+    if (!near) throw badRequest('Valid lat and lng are required');
 
-    busesWithETA.sort((a, b) => a.etaMinutes - b.etaMinutes);
+    const filter = {};
+    if (near.activeOnly) filter.status = { $in: LIVE_STATUSES };
+    if (req.query.routeNumber) {
+      const Route = require('../models/Route');
+      const route = await Route.findOne({ routeNumber: req.query.routeNumber }, '_id');
+      if (!route) return res.json([]);
+      filter.route = route._id;
+    }
 
-    res.json({
-      stop: {
-        _id: stop._id,
-        name: stop.name,
-        stopCode: stop.stopCode,
-        address: stop.address,
-        lat: stopLat,
-        lng: stopLon,
+    const buses = await Bus.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [near.lng, near.lat] },
+          distanceField: 'distanceMeters',
+          maxDistance: near.radius,
+          spherical: true,
+          query: filter
+        }
       },
-      passenger: hasPassenger
-        ? { lat: pLat, lng: pLng, walkingDistanceKm, walkingMinutes }
-        : null,
-      buses: busesWithETA,
-    });
+      { $limit: near.limit },
+      {
+        $lookup: {
+          from: 'routes',
+          localField: 'route',
+          foreignField: '_id',
+          as: 'route',
+          pipeline: [{ $project: { name: 1, routeNumber: 1 } }]
+        }
+      },
+      { $unwind: { path: '$route', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          busNumber: 1, busName: 1, route: 1, currentLocation: 1, speed: 1, heading: 1,
+          status: 1, isActive: 1, nextStopIndex: 1, lastUpdated: 1, distanceMeters: 1
+        }
+      }
+    ]);
+
+    res.json(buses.map(b => ({
+      ...b,
+      distanceMeters: Math.round(b.distanceMeters),
+      walkingMinutes: Math.ceil((b.distanceMeters / 1000 / WALKING_SPEED_KMH) * 60)
+    })));
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // GET /api/buses/:id - Get single bus details
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const bus = await Bus.findById(req.params.id)
       .populate('route')
       .populate('driver', 'name email');
-    if (!bus) return res.status(404).json({ message: 'Bus not found' });
+    if (!bus) throw notFound('Bus not found');
     res.json(bus);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
+  }
+});
+
+// GET /api/buses/:id/stop-events - Arrival / departure / skipped history (tracking:history)
+// Optional query: ?from=ISO&to=ISO&limit=100
+router.get('/:id/stop-events', requirePermission(PERMISSIONS.TRACKING_HISTORY), validate({ params: idParams, query: stopEventsQuery }), async (req, res, next) => {
+  try {
+    const filter = { bus: req.params.id };
+    if (req.query.from || req.query.to) {
+      filter.timestamp = {};
+      if (req.query.from) filter.timestamp.$gte = new Date(req.query.from);
+      if (req.query.to) filter.timestamp.$lte = new Date(req.query.to);
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const events = await StopEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .populate('stop', 'name stopCode');
+    res.json(events);
+  } catch (err) {
+    next(err);
   }
 });
 
-// POST /api/buses - Create bus (admin only)
-router.post('/', authMiddleware, async (req, res) => {
+// Cap on breadcrumbs returned by track/replay in one response
+const MAX_TRACK_POINTS = 20000;
+
+// GET /api/buses/:id/track - GPS breadcrumbs as a GeoJSON LineString (tracking:history)
+// Optional query: ?from=ISO&to=ISO  (defaults to the last hour)
+router.get('/:id/track', requirePermission(PERMISSIONS.TRACKING_HISTORY), validate({ params: idParams, query: trackQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 1 });
+    if (!range) throw badRequest('Invalid from/to date range');
+
+    const bus = await Bus.findById(req.params.id, 'busNumber busName');
+    if (!bus) throw notFound('Bus not found');
+
+    const points = await LocationHistory.find({
+      bus: bus._id,
+      recordedAt: { $gte: range.from, $lte: range.to }
+    })
+      .sort({ recordedAt: 1 })
+      .limit(MAX_TRACK_POINTS)
+      .lean();
+
+    res.json({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(p => p.location.coordinates)
+      },
+      properties: {
+        busId: bus._id,
+        busNumber: bus.busNumber,
+        busName: bus.busName,
+        from: range.from,
+        to: range.to,
+        pointCount: points.length,
+        distanceKm: Math.round(points.reduce((sum, p) => sum + (p.distanceFromPrevKm || 0), 0) * 100) / 100,
+        timestamps: points.map(p => p.recordedAt),
+        speeds: points.map(p => p.speed),
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/buses/:id/replay - Point-by-point replay of a past shift (tracking:history)
+// Query: ?shiftId=<id> (a recorded shift of this bus; open shifts run to now) or ?from=ISO&to=ISO
+// Each frame carries offsetSeconds from the first fix so a player can animate it;
+// stop events in the same window are returned alongside for the timeline.
+router.get('/:id/replay', requirePermission(PERMISSIONS.TRACKING_HISTORY), validate({ params: idParams, query: replayQuery }), async (req, res, next) => {
+  try {
+    let range;
+    if (req.query.shiftId) {
+      const shift = await Shift.findOne({ _id: req.query.shiftId, bus: req.params.id }, 'startedAt endedAt');
+      if (!shift) throw notFound('Shift not found for this bus');
+      range = { from: shift.startedAt, to: shift.endedAt || new Date() };
+    } else {
+      if (!req.query.from || !req.query.to) throw unprocessable('Provide shiftId, or both from and to');
+      range = parseDateRange(req.query);
+      if (!range) throw badRequest('Invalid from/to date range');
+    }
+
+    const bus = await Bus.findById(req.params.id, 'busNumber busName route')
+      .populate('route', 'name routeNumber');
+    if (!bus) throw notFound('Bus not found');
+
+    const window = { $gte: range.from, $lte: range.to };
+    const [points, stopEvents] = await Promise.all([
+      LocationHistory.find({ bus: bus._id, recordedAt: window })
+        .sort({ recordedAt: 1 })
+        .limit(MAX_TRACK_POINTS)
+        .lean(),
+      StopEvent.find({ bus: bus._id, timestamp: window })
+        .sort({ timestamp: 1 })
+        .populate('stop', 'name stopCode')
+        .lean()
+    ]);
+
+    const start = points.length ? points[0].recordedAt.getTime() : range.from.getTime();
+    let distanceKm = 0;
+    const frames = points.map(p => {
+      distanceKm += p.distanceFromPrevKm || 0;
+      return {
+        lat: p.location.coordinates[1],
+        lng: p.location.coordinates[0],
+        speed: p.speed,
+        heading: p.heading,
+        recordedAt: p.recordedAt,
+        offsetSeconds: Math.round((p.recordedAt.getTime() - start) / 1000),
+        distanceKm: Math.round(distanceKm * 100) / 100,
+      };
+    });
+
+    res.json({
+      bus: { _id: bus._id, busNumber: bus.busNumber, busName: bus.busName, route: bus.route },
+      from: range.from,
+      to: range.to,
+      durationSeconds: frames.length ? frames[frames.length - 1].offsetSeconds : 0,
+      distanceKm: Math.round(distanceKm * 100) / 100,
+      frames,
+      stopEvents: stopEvents.map(e => ({
+        type: e.type,
+        stopIndex: e.stopIndex,
+        stop: e.stop,
+        timestamp: e.timestamp,
+        offsetSeconds: Math.round((e.timestamp.getTime() - start) / 1000),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/buses - Create bus (buses:write)
+// Body: { busNumber, route, busName?, capacity? }
+router.post('/', requirePermission(PERMISSIONS.BUSES_WRITE), validate({ body: busFields }), async (req, res, next) => {
   try {
     const bus = new Bus(req.body);
     await bus.save();
+    await recordAudit(req, { action: 'bus.create', entity: 'Bus', after: bus });
     res.status(201).json(bus);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
+  }
+});
+
+// PUT /api/buses/:id - Update bus (buses:write)
+// Body: any of { busNumber, busName, route, capacity }
+router.put('/:id', requirePermission(PERMISSIONS.BUSES_WRITE), validate({ params: idParams, body: partial(busFields) }), async (req, res, next) => {
+  try {
+    const before = await Bus.findById(req.params.id).lean();
+    if (!before) throw notFound('Bus not found');
+    const bus = await Bus.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'bus.update', entity: 'Bus', before, after: bus });
+    res.json(bus);
+  } catch (err) {
+    next(err);
   }
 });
 
-// PUT /api/buses/:id - Update bus (admin only)
-router.put('/:id', authMiddleware, async (req, res) => {
+// POST /api/buses/:id/status - Take a bus out of service, or release it (buses:write)
+// Body: { status: 'out_of_service', note? } | { status: 'offline' }
+// Every other status follows from location fixes and shifts (services/vehicleStatus.js).
+router.post('/:id/status', requirePermission(PERMISSIONS.BUSES_WRITE), validate({ params: idParams, body: busStatus }), async (req, res, next) => {
   try {
-    const bus = await Bus.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const { status, note } = req.body;
+    const bus = await Bus.findById(req.params.id);
+    if (!bus) throw notFound('Bus not found');
+    if (status === 'offline' && bus.status !== 'out_of_service') {
+      throw conflict('Only an out-of-service bus can be released');
+    }
+    const before = { _id: bus._id, status: bus.status, statusNote: bus.statusNote };
+
+    const change = transition(bus, status, { reason: status === 'offline' ? 'released' : 'taken_out_of_service' });
+    if (!change) throw conflict(`Bus is already ${status}`);
+    bus.statusNote = status === 'out_of_service' ? note : undefined;
+    await bus.save();
+
+    await recordAudit(req, {
+      action: 'bus.status', entity: 'Bus', before,
+      after: { _id: bus._id, status: bus.status, statusNote: bus.statusNote }
+    });
+    announceTransition(bus, change);
     res.json(bus);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 module.exports = router;
 
-// DELETE /api/buses/:id  (admin only)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/buses/:id  (buses:delete)
+router.delete('/:id', requirePermission(PERMISSIONS.BUSES_DELETE), validate({ params: idParams }), async (req, res, next) => {
   try {
     const User = require('../models/User');
     const bus = await Bus.findByIdAndDelete(req.params.id);
-    if (!bus) return res.status(404).json({ message: 'Bus not found' });
+    if (!bus) throw notFound('Bus not found');
 
     // Unassign from driver if assigned
     if (bus.driver) {
       await User.findByIdAndUpdate(bus.driver, { assignedBus: null });
     }
+    await recordAudit(req, {
+      action: 'bus.delete', entity: 'Bus', before: bus,
+      meta: bus.driver ? { driverUnassigned: bus.driver } : undefined
+    });
 
     res.json({ message: `Bus "${bus.busNumber}" deleted.` });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
\ No newline at end of file
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const Bus = require('../models/Bus');
+const LocationAnomaly = require('../models/LocationAnomaly');
+const FleetAlert = require('../models/FleetAlert');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/dispatch');
+const { recordAudit } = require('../services/audit');
+const { conflict, notFound } = require('../utils/httpError');
+
+// Dispatch desk: GPS fixes the ingest pipeline rejected or flagged
+// (services/locationIngest.js) and the fleet alerts raised from them.
+const canMonitor = requirePermission(PERMISSIONS.FLEET_MONITOR);
+
+// ─── Location anomalies ───────────────────────────────────────────────────────
+
+// GET /api/dispatch/anomalies - newest first (fleet:monitor)
+// Optional query: ?bus=<busId>&verdict=rejected|flagged&reason=impossible_jump&reviewStatus=pending&from=ISO&to=ISO&limit=50&page=1
+router.get('/anomalies', canMonitor, validate({ query: schemas.anomaliesQuery }), async (req, res, next) => {
+  try {
+    const { bus, verdict, reason, reviewStatus, from, to } = req.query;
+    const filter = {};
+    if (bus) filter.bus = bus;
+    if (verdict) filter.verdict = verdict;
+    if (reason) filter.reasons = reason;
+    if (reviewStatus) filter.reviewStatus = reviewStatus;
+    if (from || to) {
+      filter.recordedAt = {};
+      if (from) filter.recordedAt.$gte = new Date(from);
+      if (to) filter.recordedAt.$lte = new Date(to);
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+
+    const [anomalies, total] = await Promise.all([
+      LocationAnomaly.find(filter)
+        .populate('bus', 'busNumber busName')
+        .populate('driver', 'name')
+        .sort({ recordedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LocationAnomaly.countDocuments(filter)
+    ]);
+
+    res.json({ total, page, limit, anomalies });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/dispatch/anomalies/:id/review (fleet:monitor)
+// Body: { outcome: 'confirmed' | 'dismissed', note? }
+router.post('/anomalies/:id/review', canMonitor, validate({ params: idParams, body: schemas.reviewAnomaly }), async (req, res, next) => {
+  try {
+    const anomaly = await LocationAnomaly.findById(req.params.id);
+    if (!anomaly) throw notFound('Location anomaly not found');
+    const before = anomaly.toObject();
+
+    anomaly.reviewStatus = req.body.outcome;
+    anomaly.reviewNote = req.body.note;
+    anomaly.reviewedBy = req.user.id;
+    anomaly.reviewedAt = new Date();
+    await anomaly.save();
+
+    await recordAudit(req, { action: 'anomaly.review', entity: 'LocationAnomaly', before, after: anomaly });
+    res.json(anomaly);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Fleet alerts ─────────────────────────────────────────────────────────────
+
+// GET /api/dispatch/alerts - newest first (fleet:monitor)
+// Optional query: ?status=open|acknowledged|resolved|unresolved (default unresolved) &type=off_route&bus=<busId>&limit=50&page=1
+router.get('/alerts', canMonitor, validate({ query: schemas.fleetAlertsQuery }), async (req, res, next) => {
+  try {
+    const { status = 'unresolved', type, bus } = req.query;
+    const filter = { status: status === 'unresolved' ? { $ne: 'resolved' } : status };
+    if (type) filter.type = type;
+    if (bus) filter.bus = bus;
+
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+
+    const [alerts, total] = await Promise.all([
+      FleetAlert.find(filter)
+        .populate('route', 'name routeNumber')
+        .populate('driver', 'name phone')
+        .populate('acknowledgedBy resolvedBy', 'name')
+        .sort({ openedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FleetAlert.countDocuments(filter)
+    ]);
+
+    res.json({ total, page, limit, alerts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/dispatch/alerts/:id/acknowledge - someone is handling it (fleet:monitor)
+// Body: { note? }
+router.post('/alerts/:id/acknowledge', canMonitor, validate({ params: idParams, body: schemas.alertNote }), async (req, res, next) => {
+  try {
+    const alert = await FleetAlert.findById(req.params.id);
+    if (!alert) throw notFound('Fleet alert not found');
+    if (alert.status !== 'open') throw conflict(`Alert is already ${alert.status}`);
+    const before = alert.toObject();
+
+    alert.status = 'acknowledged';
+    alert.acknowledgedBy = req.user.id;
+    alert.acknowledgedAt = new Date();
+    if (req.body.note !== undefined) alert.note = req.body.note;
+    await alert.save();
+
+    await recordAudit(req, { action: 'fleet_alert.acknowledge', entity: 'FleetAlert', before, after: alert });
+    res.json(alert);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/dispatch/alerts/:id/resolve (fleet:monitor)
+// Body: { note? }
+// The bus's off-route clock restarts, so if it is still off route a fresh alert
+// opens once the delay has passed again.
+router.post('/alerts/:id/resolve', canMonitor, validate({ params: idParams, body: schemas.alertNote }), async (req, res, next) => {
+  try {
+    const alert = await FleetAlert.findById(req.params.id);
+    if (!alert) throw notFound('Fleet alert not found');
+    if (alert.status === 'resolved') throw conflict('Alert is already resolved');
+    const before = alert.toObject();
+
+    alert.status = 'resolved';
+    alert.resolution = 'manual';
+    alert.resolvedBy = req.user.id;
+    alert.resolvedAt = new Date();
+    if (req.body.note !== undefined) alert.note = req.body.note;
+    await alert.save();
+    if (alert.type === 'off_route') await Bus.updateOne({ _id: alert.bus }, { offRouteSince: null });
+
+    await recordAudit(req, { action: 'fleet_alert.resolve', entity: 'FleetAlert', before, after: alert });
+    res.json(alert);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,89 +1,295 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Shift = require('../models/Shift');
 const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { broadcastBusLocation, broadcastStopEvents } = require('../services/socket');
+const { ingestFix, ingestBatch } = require('../services/locationIngest');
+const { pickTripForBus } = require('../services/schedule');
+const { serviceDayStart, formatServiceTime } = require('../utils/serviceTime');
+const { badRequest, forbidden, notFound, unprocessable } = require('../utils/httpError');
+const { parseDateRange } = require('../utils/dateRange');
+const { validate } = require('../middleware/validate');
+const driverSchemas = require('../validators/driver');
+const { myShiftsQuery } = require('../validators/shifts');
+const { recordAudit } = require('../services/audit');
+const { applyOccupancy, currentOccupancy } = require('../services/occupancy');
+const { evaluateStopSubscriptions } = require('../services/stopSubscriptions');
+const { busSummary, emitFleetEvent } = require('../services/events');
+const { openShift, closeShift } = require('../services/shifts');
+const { resolveBusAlerts } = require('../services/fleetAlerts');
+const { transition, announceTransition } = require('../services/vehicleStatus');
+
+// Drivers act on their own assigned bus; `anyPermission` lets dispatch act on any bus
+const canOperateBus = (user, bus, ownPermission, anyPermission) =>
+  hasPermission(user, anyPermission) ||
+  (bus.driver?.toString() === user.id && hasPermission(user, ownPermission));
+
+// Push a moved bus to Socket.IO subscribers, stop alert subscriptions and
+// webhooks — fire and forget, so the driver's request isn't held up
+function announceMovement(bus, { stopEvents, statusChanges }) {
+  broadcastStopEvents(bus, stopEvents);
+  broadcastBusLocation(bus).catch(err => console.error('Broadcast error:', err.message));
+  evaluateStopSubscriptions(bus);
+  for (const change of statusChanges) announceTransition(bus, change);
+  for (const event of stopEvents.filter(e => e.type === 'arrival')) {
+    emitFleetEvent('bus.arrived', {
+      ...busSummary(bus),
+      stopId: event.stop,
+      stopIndex: event.stopIndex,
+      arrivedAt: event.timestamp,
+      delaySeconds: event.delaySeconds ?? null,
+    });
+  }
+}
 
 // Driver updates their live location (called every 10 seconds from driver's phone)
-router.post('/update-location', authMiddleware, async (req, res) => {
+router.post('/update-location', authMiddleware, validate({ body: driverSchemas.updateLocation }), async (req, res, next) => {
   try {
-    const { busId, latitude, longitude, speed, heading } = req.body;
+    const { busId, latitude, longitude, speed, heading, accuracy } = req.body;
+
+    const bus = await Bus.findById(busId);
+    if (!bus) throw notFound('Bus not found');
+
+    // Security: only the assigned driver can update this bus
+    if (!canOperateBus(req.user, bus, PERMISSIONS.LOCATION_UPDATE, PERMISSIONS.LOCATION_UPDATE_ANY)) {
+      throw forbidden('Not authorized for this bus');
+    }
 
-    if (!busId || !latitude || !longitude) {
-      return res.status(400).json({ message: 'busId, latitude, longitude are required' });
+    // Plausibility and corridor checks, then move the bus (services/locationIngest.js)
+    const { accepted, backfilled, assessment, stopEvents, statusChange } = await ingestFix(
+      bus,
+      { latitude, longitude, speed, heading, accuracy },
+      { reportedBy: req.user.id }
+    );
+    if (!accepted) {
+      throw unprocessable('Location fix rejected', assessment.reasons.map(r => ({ field: 'location', reason: r.code, message: r.message })));
     }
 
+    announceMovement(bus, { stopEvents, statusChanges: [statusChange] });
+
+    res.json({
+      // backfilled: a newer position reached the server first, this one only joined the history
+      message: backfilled ? 'Location recorded, a newer position was already stored' : 'Location updated',
+      status: bus.status,
+      lastUpdated: bus.lastUpdated,
+      nextStopIndex: bus.nextStopIndex,
+      atStopIndex: bus.atStopIndex,
+      stopEvents: stopEvents.map(e => ({ type: e.type, stop: e.stop, stopIndex: e.stopIndex })),
+      flags: assessment.reasons.map(r => r.code),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Driver uploads fixes buffered while the phone had no signal
+// Body: { busId, fixes: [{ seq?, recordedAt, latitude, longitude, speed?, heading?, accuracy? }] }  — up to 500
+// Fixes are applied in recordedAt order; only ones newer than the bus's current position
+// move it. Each fix gets a status (applied | backfilled | duplicate | rejected) so the
+// app can drop everything the server has answered for, matched by seq.
+router.post('/update-location/batch', authMiddleware, validate({ body: driverSchemas.updateLocationBatch }), async (req, res, next) => {
+  try {
+    const { busId, fixes } = req.body;
+
     const bus = await Bus.findById(busId);
-    if (!bus) return res.status(404).json({ message: 'Bus not found' });
+    if (!bus) throw notFound('Bus not found');
+    if (!canOperateBus(req.user, bus, PERMISSIONS.LOCATION_UPDATE, PERMISSIONS.LOCATION_UPDATE_ANY)) {
+      throw forbidden('Not authorized for this bus');
+    }
 
-    // Security: only the assigned driver can update this bus
-    if (bus.driver?.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized for this bus' });
+    const { results, applied, backfilled, stopEvents, statusChanges } = await ingestBatch(bus, fixes, { reportedBy: req.user.id });
+    if (applied) announceMovement(bus, { stopEvents, statusChanges });
+
+    res.json({
+      message: `${applied} fix(es) applied, ${backfilled} backfilled`,
+      status: bus.status,
+      lastUpdated: bus.lastUpdated,
+      nextStopIndex: bus.nextStopIndex,
+      atStopIndex: bus.atStopIndex,
+      stopEvents: stopEvents.map(e => ({ type: e.type, stop: e.stop, stopIndex: e.stopIndex })),
+      results,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Driver reports how full the bus is
+// Body: { busId, count?, level? }  — level: empty | many_seats | few_seats | standing | full
+router.post('/occupancy', authMiddleware, validate({ body: driverSchemas.reportOccupancy }), async (req, res, next) => {
+  try {
+    const { busId, count, level } = req.body;
+    if (count === undefined && !level) throw unprocessable('Provide a passenger count or an occupancy level');
+
+    const bus = await Bus.findById(busId);
+    if (!bus) throw notFound('Bus not found');
+    if (!canOperateBus(req.user, bus, PERMISSIONS.LOCATION_UPDATE, PERMISSIONS.LOCATION_UPDATE_ANY)) {
+      throw forbidden('Not authorized for this bus');
+    }
+
+    await applyOccupancy(bus, { count, level, source: 'driver' });
+    await bus.save();
+    broadcastBusLocation(bus).catch(err => console.error('Broadcast error:', err.message));
+
+    res.json({ message: 'Occupancy updated', occupancy: currentOccupancy(bus) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Driver starts a shift — clocks the bus's assigned driver in and assigns the scheduled trip
+// Body: { busId, tripId? }  — tripId (id or tripCode) omitted → closest trip on the bus's route today
+// 409 while the bus or its driver already has an open shift.
+router.post('/start-shift', authMiddleware, validate({ body: driverSchemas.startShift }), async (req, res, next) => {
+  try {
+    const { busId, tripId } = req.body;
+    const bus = await Bus.findById(busId);
+    if (!bus) throw notFound('Bus not found');
+
+    if (!canOperateBus(req.user, bus, PERMISSIONS.SHIFTS_OWN, PERMISSIONS.SHIFTS_MANAGE)) {
+      throw forbidden('Not authorized for this bus');
+    }
+
+    const now = new Date();
+    let trip = null;
+    if (tripId) {
+      trip = await Trip.findOne(mongoose.isValidObjectId(tripId) ? { _id: tripId } : { tripCode: tripId })
+        .populate('service');
+      if (!trip) throw notFound('Trip not found');
+      if (trip.route.toString() !== bus.route?.toString()) {
+        throw unprocessable('Trip belongs to a different route than this bus');
+      }
+      if (!trip.service?.runsOn(now)) {
+        throw unprocessable('Trip does not run today');
+      }
+    } else {
+      trip = await pickTripForBus(bus, now);
     }
 
-    bus.currentLocation = {
-      type: 'Point',
-      coordinates: [parseFloat(longitude), parseFloat(latitude)]
-    };
-    bus.speed = speed || 0;
-    bus.heading = heading || 0;
-    bus.isActive = true;
-    bus.lastUpdated = new Date();
+    const shift = await openShift(bus, { trip, startedBy: req.user.id, at: now });
 
+    bus.currentTrip = trip ? trip._id : null;
+    bus.tripServiceDate = serviceDayStart(now);
+    bus.nextStopIndex = 0;
+    bus.atStopIndex = null;
+    bus.arrivedAt = undefined;
+    bus.lastDeparture = undefined;
     await bus.save();
 
-    res.json({ message: 'Location updated', lastUpdated: bus.lastUpdated });
+    emitFleetEvent('shift.started', { ...busSummary(bus), shiftId: shift._id, startedBy: req.user.id });
+
+    res.json({
+      message: trip ? `Shift started on trip ${trip.tripCode}` : 'Shift started (no scheduled trip)',
+      shift,
+      trip: trip
+        ? {
+          _id: trip._id,
+          tripId: trip.tripCode,
+          headsign: trip.headsign,
+          firstDeparture: trip.stopTimes.length ? formatServiceTime(trip.stopTimes[0].departure) : null,
+        }
+        : null
+    });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// Driver marks bus as offline (end of shift)
-router.post('/end-shift', authMiddleware, async (req, res) => {
+// Driver marks bus as offline (end of shift) and clocks out of the open shift
+// The response carries the closed shift with its duration and distance driven.
+router.post('/end-shift', authMiddleware, validate({ body: driverSchemas.endShift }), async (req, res, next) => {
   try {
     const { busId } = req.body;
     const bus = await Bus.findById(busId);
-    if (!bus) return res.status(404).json({ message: 'Bus not found' });
+    if (!bus) throw notFound('Bus not found');
 
-    bus.isActive = false;
+    if (!canOperateBus(req.user, bus, PERMISSIONS.SHIFTS_OWN, PERMISSIONS.SHIFTS_MANAGE)) {
+      throw forbidden('Not authorized for this bus');
+    }
+
+    const activeShift = await Shift.findOne({ bus: bus._id, status: 'open' });
+    const summary = busSummary(bus);
+    // Out-of-service buses stay that way until they are released
+    const statusChange = bus.status === 'out_of_service' ? null : transition(bus, 'offline', { reason: 'shift_ended' });
     bus.nextStopIndex = 0;
+    bus.atStopIndex = null;
+    bus.arrivedAt = undefined;
+    bus.lastDeparture = undefined;
+    bus.currentTrip = null;
+    bus.tripServiceDate = undefined;
+    bus.occupancy = undefined;
+    // An off-route bus that parks up is no longer dispatch's problem
+    await resolveBusAlerts(bus, { resolution: 'shift_ended', by: req.user.id });
     await bus.save();
 
-    res.json({ message: 'Shift ended' });
+    const shift = activeShift ? await closeShift(activeShift, { endedBy: req.user.id }) : null;
+
+    emitFleetEvent('shift.ended', {
+      ...summary,
+      endedBy: req.user.id,
+      shiftId: shift?._id || null,
+      durationMinutes: shift?.durationMinutes ?? null,
+      distanceKm: shift?.distanceKm ?? null,
+    });
+    announceTransition(bus, statusChange);
+
+    res.json({ message: 'Shift ended', shift });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // Get assigned bus for logged-in driver
-router.get('/my-bus', authMiddleware, async (req, res) => {
+router.get('/my-bus', authMiddleware, async (req, res, next) => {
   try {
     const bus = await Bus.findOne({ driver: req.user.id }).populate('route');
-    if (!bus) return res.status(404).json({ message: 'No bus assigned to you' });
+    if (!bus) throw notFound('No bus assigned to you');
     res.json(bus);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-module.exports = router;
+// Driver's own shifts, newest first (shifts:own)
+// Optional query: ?from=ISO&to=ISO (default last 30 days) &limit=50
+router.get('/my-shifts', requirePermission(PERMISSIONS.SHIFTS_OWN), validate({ query: myShiftsQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 30 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+
+    const shifts = await Shift.find({ driver: req.user.id, startedAt: { $gte: range.from, $lte: range.to } })
+      .sort({ startedAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+    res.json(shifts);
+  } catch (err) {
+    next(err);
+  }
+});
 
-// GET /api/driver/all-drivers — list all registered drivers (admin only)
-const adminOnly = require('../middleware/adminOnly');
+module.exports = router;
 
-router.get('/all-drivers', adminOnly, async (req, res) => {
+// GET /api/driver/all-drivers — list all registered drivers (drivers:read)
+router.get('/all-drivers', requirePermission(PERMISSIONS.DRIVERS_READ), async (req, res, next) => {
   try {
     const User = require('../models/User');
     const drivers = await User.find({ role: 'driver' }, '-password')
-      .populate('assignedBus', 'busNumber busName route isActive');
+      .populate('assignedBus', 'busNumber busName route status isActive');
     res.json(drivers);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// POST /api/driver/assign-bus — assign or unassign a bus to a driver (admin only)
+// POST /api/driver/assign-bus — assign or unassign a bus to a driver (drivers:assign)
 // Body: { driverId, busId }  — pass busId as null to unassign
-router.post('/assign-bus', adminOnly, async (req, res) => {
+// Open shifts the change splits up (this driver's, or the displaced driver's on the bus)
+// are closed by the dispatcher — nobody else could end them any more.
+router.post('/assign-bus', requirePermission(PERMISSIONS.DRIVERS_ASSIGN), validate({ body: driverSchemas.assignBus }), async (req, res, next) => {
   try {
     const { driverId, busId } = req.body;
     const User = require('../models/User');
@@ -91,7 +297,10 @@ router.post('/assign-bus', adminOnly, async (req, res) => {
 
     const driver = await User.findById(driverId);
     if (!driver || driver.role !== 'driver')
-      return res.status(404).json({ message: 'Driver not found.' });
+      throw notFound('Driver not found.');
+
+    const previousBus = driver.assignedBus || null;
+    let displacedDriver = null;
 
     // Unassign previous bus from this driver if any
     if (driver.assignedBus) {
@@ -100,11 +309,12 @@ router.post('/assign-bus', adminOnly, async (req, res) => {
 
     if (busId) {
       const bus = await Bus.findById(busId);
-      if (!bus) return res.status(404).json({ message: 'Bus not found.' });
+      if (!bus) throw notFound('Bus not found.');
 
       // Unassign previous driver from target bus
       if (bus.driver && bus.driver.toString() !== driverId) {
         await User.findByIdAndUpdate(bus.driver, { assignedBus: null });
+        displacedDriver = bus.driver;
       }
 
       bus.driver = driverId;
@@ -116,11 +326,54 @@ router.post('/assign-bus', adminOnly, async (req, res) => {
 
     await driver.save();
 
+    const openShifts = await Shift.find({ status: 'open', $or: [{ driver: driver._id }, ...(busId ? [{ bus: busId }] : [])] });
+    const closedShifts = [];
+    for (const open of openShifts) {
+      if (busId && open.driver.toString() === driverId && open.bus.toString() === busId) continue;
+      const closed = await closeShift(open, { endedBy: req.user.id });
+      if (!closed) continue;
+      closedShifts.push(closed);
+      await recordAudit(req, {
+        action: 'shift.close', entity: 'Shift', entityId: closed._id,
+        before: { status: 'open' }, after: closed, meta: { reason: 'driver_reassigned' }
+      });
+      emitFleetEvent('shift.ended', {
+        busId: closed.bus,
+        busNumber: closed.busNumber,
+        driverId: closed.driver,
+        endedBy: req.user.id,
+        reason: 'driver_reassigned',
+        shiftId: closed._id,
+        durationMinutes: closed.durationMinutes,
+        distanceKm: closed.distanceKm,
+      });
+    }
+
+    await recordAudit(req, {
+      action: busId ? 'driver.assign' : 'driver.unassign',
+      entity: 'User',
+      entityId: driver._id,
+      before: { assignedBus: previousBus },
+      after: { assignedBus: driver.assignedBus },
+      meta: displacedDriver ? { displacedDriver } : undefined
+    });
+
+    const changedBus = String(previousBus) !== String(driver.assignedBus);
+    if (previousBus && changedBus) {
+      emitFleetEvent('driver.unassigned', { driverId: driver._id, busId: previousBus, by: req.user.id, reason: busId ? 'reassigned' : 'unassigned' });
+    }
+    if (displacedDriver) {
+      emitFleetEvent('driver.unassigned', { driverId: displacedDriver, busId, by: req.user.id, reason: 'reassigned' });
+    }
+    if (busId && changedBus) {
+      emitFleetEvent('driver.assigned', { driverId: driver._id, busId, by: req.user.id });
+    }
+
     const updated = await User.findById(driverId, '-password')
-      .populate('assignedBus', 'busNumber busName route isActive');
+      .populate('assignedBus', 'busNumber busName route status isActive');
 
-    res.json({ message: 'Assignment updated.', driver: updated });
+    res.json({ message: 'Assignment updated.', driver: updated, closedShifts });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
\ No newline at end of file
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { importGtfs, exportGtfs } = require('../services/gtfs');
+const { buildVehiclePositions, buildTripUpdates, buildAlerts, encodeFeed } = require('../services/gtfsRealtime');
+const { badRequest } = require('../utils/httpError');
+const { recordAudit } = require('../services/audit');
+
+// GTFS zips are kept in memory only long enough to parse them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+// POST /api/gtfs/import — upsert Stops and Routes from a GTFS static zip (gtfs:import)
+// multipart/form-data with the zip in field "file"
+// Reads stops.txt, routes.txt, trips.txt and stop_times.txt; matches on stopCode / routeNumber
+router.post('/import', requirePermission(PERMISSIONS.GTFS_IMPORT), upload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) throw badRequest('Upload the GTFS zip in the "file" field');
+
+    const summary = await importGtfs(req.file.buffer);
+    await recordAudit(req, {
+      action: 'gtfs.import', entity: 'Feed',
+      meta: { fileName: req.file.originalname, size: req.file.size, ...summary }
+    });
+    res.json({ message: 'GTFS feed imported', ...summary });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/gtfs/export — download the current network as a GTFS static zip (public)
+router.get('/export', async (req, res, next) => {
+  try {
+    const zip = await exportGtfs();
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': 'attachment; filename="gtfs.zip"'
+    });
+    res.send(zip);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send a GTFS-Realtime feed as protobuf, or as JSON with ?format=json (debug view)
+const sendFeed = (req, res, feed) => {
+  if (req.query.format === 'json') return res.json(encodeFeed(feed, 'json'));
+  res.set('Content-Type', 'application/x-protobuf');
+  res.send(encodeFeed(feed));
+};
+
+// GET /api/gtfs/realtime/vehicle-positions — GTFS-RT VehiclePositions (public)
+// Optional: ?format=json
+router.get('/realtime/vehicle-positions', async (req, res, next) => {
+  try {
+    sendFeed(req, res, await buildVehiclePositions());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/gtfs/realtime/trip-updates — GTFS-RT TripUpdates (public)
+// Optional: ?format=json
+router.get('/realtime/trip-updates', async (req, res, next) => {
+  try {
+    sendFeed(req, res, await buildTripUpdates());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/gtfs/realtime/alerts — GTFS-RT Alerts from the service alerts (public)
+// Optional: ?format=json
+router.get('/realtime/alerts', async (req, res, next) => {
+  try {
+    sendFeed(req, res, await buildAlerts());
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { planJourney, MAX_TRANSFERS } = require('../services/journeyPlanner');
+const { validate } = require('../middleware/validate');
+const { planQuery } = require('../validators/plan');
+
+// GET /api/plan?fromLat=11.66&fromLng=78.14&toLat=11.65&toLng=78.16 (public)
+// Optional: &maxWalkKm=0.8&maxTransfers=2
+// Itineraries ranked by total time (walk + wait + ride + transfer walks).
+// A slower itinerary is only listed when it needs fewer transfers.
+router.get('/', validate({ query: planQuery }), async (req, res, next) => {
+  try {
+    const fromLat = parseFloat(req.query.fromLat);
+    const fromLng = parseFloat(req.query.fromLng);
+    const toLat = parseFloat(req.query.toLat);
+    const toLng = parseFloat(req.query.toLng);
+
+    const maxWalkKm = Math.min(parseFloat(req.query.maxWalkKm) || 0.8, 3);
+    const maxTransfers = req.query.maxTransfers !== undefined
+      ? parseInt(req.query.maxTransfers)
+      : MAX_TRANSFERS;
+
+    const { itineraries, walkOnly } = await planJourney(
+      { lat: fromLat, lng: fromLng },
+      { lat: toLat, lng: toLng },
+      { maxWalkKm, maxTransfers: isNaN(maxTransfers) ? MAX_TRANSFERS : maxTransfers }
+    );
+
+    res.json({
+      from: { lat: fromLat, lng: fromLng },
+      to: { lat: toLat, lng: toLng },
+      itineraries,
+      walkOnly,
+      message: itineraries.length ? undefined : 'No bus itinerary found within walking distance of both points'
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
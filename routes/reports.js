@@ -0,0 +1,521 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const OccupancySample = require('../models/OccupancySample');
+const StopLookup = require('../models/StopLookup');
+const LocationHistory = require('../models/LocationHistory');
+const Shift = require('../models/Shift');
+const StopEvent = require('../models/StopEvent');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { validate } = require('../middleware/validate');
+const {
+  loadFactorQuery, stopDemandQuery, stopDemandHourlyQuery, stopDemandHeatmapQuery, fleetReportQuery, onTimeQuery
+} = require('../validators/reports');
+const { parseDateRange, LOCAL_TIMEZONE } = require('../utils/dateRange');
+const { badRequest, unprocessable } = require('../utils/httpError');
+const { toCsv } = require('../utils/csv');
+const { ON_TIME_EARLY_MINUTES, ON_TIME_LATE_MINUTES } = require('../services/schedule');
+const { IDLE_SPEED_KMH } = require('../services/vehicleStatus');
+
+const round2 = (n) => (n === null || n === undefined ? null : Math.round(n * 100) / 100);
+
+// Heatmap cells with fewer lookups than this are left out, so a cell can't single out a household
+const HEATMAP_MIN_COUNT = 3;
+const HEATMAP_MAX_CELLS = 5000;
+
+// Longest range the hourly active-bus report will bucket: 93 days, plus the hour `to` falls in
+const MAX_HOURLY_BUCKETS = 93 * 24 + 1;
+
+// ─── Load factor ─────────────────────────────────────────────────────────────
+
+// GET /api/reports/load-factor - average and peak load per route and hour of day (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &route=<routeId>
+// Hours are in the server's local time zone.
+router.get('/load-factor', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: loadFactorQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 7 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+
+    const match = { recordedAt: { $gte: range.from, $lte: range.to }, route: { $ne: null } };
+    if (req.query.route) match.route = new mongoose.Types.ObjectId(req.query.route);
+
+    const rows = await OccupancySample.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { route: '$route', hour: { $hour: { date: '$recordedAt', timezone: LOCAL_TIMEZONE } } },
+          samples: { $sum: 1 },
+          avgLoadFactor: { $avg: '$loadFactor' },
+          peakLoadFactor: { $max: '$loadFactor' },
+          fullSamples: { $sum: { $cond: [{ $eq: ['$level', 'full'] }, 1, 0] } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'routes',
+          localField: '_id.route',
+          foreignField: '_id',
+          as: 'route',
+          pipeline: [{ $project: { name: 1, routeNumber: 1 } }]
+        }
+      },
+      { $unwind: { path: '$route', preserveNullAndEmptyArrays: true } },
+      { $sort: { 'route.routeNumber': 1, '_id.hour': 1 } }
+    ]);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      timezone: LOCAL_TIMEZONE,
+      rows: rows.map(r => ({
+        routeId: r._id.route,
+        routeNumber: r.route?.routeNumber,
+        routeName: r.route?.name,
+        hour: r._id.hour,
+        samples: r.samples,
+        avgLoadFactor: round2(r.avgLoadFactor),
+        peakLoadFactor: round2(r.peakLoadFactor),
+        fullShare: round2(r.fullSamples / r.samples), // share of reports saying "full"
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Stop demand (anonymous lookups, services/stopLookups.js) ────────────────
+
+// GET /api/reports/stop-demand - busiest stops by passenger lookups (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &limit=20
+router.get('/stop-demand', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: stopDemandQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 7 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+    const limit = parseInt(req.query.limit) || 20;
+
+    const rows = await StopLookup.aggregate([
+      { $match: { recordedAt: { $gte: range.from, $lte: range.to } } },
+      {
+        $group: {
+          _id: '$stop',
+          lookups: { $sum: 1 },
+          withLocation: { $sum: { $cond: ['$hasPassengerLocation', 1, 0] } },
+          avgWalkingDistanceKm: { $avg: '$walkingDistanceKm' }
+        }
+      },
+      { $sort: { lookups: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'stops',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'stop',
+          pipeline: [{ $project: { name: 1, stopCode: 1, location: 1 } }]
+        }
+      },
+      { $unwind: { path: '$stop', preserveNullAndEmptyArrays: true } }
+    ]);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      rows: rows.map(r => ({
+        stopId: r._id,
+        stopCode: r.stop?.stopCode,
+        stopName: r.stop?.name,
+        lat: r.stop?.location.coordinates[1],
+        lng: r.stop?.location.coordinates[0],
+        lookups: r.lookups,
+        withLocation: r.withLocation,
+        avgWalkingDistanceKm: round2(r.avgWalkingDistanceKm),
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/reports/stop-demand/hourly - lookups by hour of day, all 24 hours (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &stop=<stopId>
+router.get('/stop-demand/hourly', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: stopDemandHourlyQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 7 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+
+    const match = { recordedAt: { $gte: range.from, $lte: range.to } };
+    if (req.query.stop) match.stop = new mongoose.Types.ObjectId(req.query.stop);
+
+    const rows = await StopLookup.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $hour: { date: '$recordedAt', timezone: LOCAL_TIMEZONE } },
+          lookups: { $sum: 1 }
+        }
+      }
+    ]);
+    const byHour = new Map(rows.map(r => [r._id, r.lookups]));
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      timezone: LOCAL_TIMEZONE,
+      stop: req.query.stop || null,
+      hours: Array.from({ length: 24 }, (_, hour) => ({ hour, lookups: byHour.get(hour) || 0 }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/reports/stop-demand/heatmap - where passengers look up stops from (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 30 days) &stop=<stopId> &cellDecimals=3 (≈110 m) | 2 (≈1.1 km)
+// Cells are centred on the rounded coordinates; sparse cells are suppressed.
+router.get('/stop-demand/heatmap', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: stopDemandHeatmapQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 30 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+    const decimals = parseInt(req.query.cellDecimals) || 3;
+
+    const match = { recordedAt: { $gte: range.from, $lte: range.to }, hasPassengerLocation: true };
+    if (req.query.stop) match.stop = new mongoose.Types.ObjectId(req.query.stop);
+
+    const cells = await StopLookup.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            lat: { $round: [{ $arrayElemAt: ['$origin.coordinates', 1] }, decimals] },
+            lng: { $round: [{ $arrayElemAt: ['$origin.coordinates', 0] }, decimals] }
+          },
+          lookups: { $sum: 1 }
+        }
+      },
+      { $match: { lookups: { $gte: HEATMAP_MIN_COUNT } } },
+      { $sort: { lookups: -1 } },
+      { $limit: HEATMAP_MAX_CELLS }
+    ]);
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      stop: req.query.stop || null,
+      cellDecimals: decimals,
+      minCellCount: HEATMAP_MIN_COUNT,
+      cells: cells.map(c => ({ lat: c._id.lat, lng: c._id.lng, lookups: c.lookups }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Fleet operations (location history, shifts, stop events) ────────────────
+
+const oid = (id) => new mongoose.Types.ObjectId(id);
+
+// Shared ?route=&bus=&driver= filters as a $match on the given fields
+function fleetFilters(query, fields = ['route', 'bus', 'driver']) {
+  const match = {};
+  for (const field of fields) if (query[field]) match[field] = oid(query[field]);
+  return match;
+}
+
+const lookupOne = (from, localField, as, project) => [
+  { $lookup: { from, localField, foreignField: '_id', as, pipeline: [{ $project: project }] } },
+  { $unwind: { path: `$${as}`, preserveNullAndEmptyArrays: true } }
+];
+
+// Send report rows as JSON ({ from, to, ...meta, rows }), or as a CSV download for ?format=csv.
+// Names in the rows come from users, so the CSV is made safe to open in a spreadsheet.
+function sendReport(req, res, name, { range, columns, rows, ...meta }) {
+  if (req.query.format === 'csv') {
+    const day = (d) => d.toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${name}_${day(range.from)}_${day(range.to)}.csv"`
+    });
+    return res.send(toCsv(rows, columns, { spreadsheetSafe: true }));
+  }
+  res.json({ from: range.from, to: range.to, ...meta, rows });
+}
+
+// Reports built on LocationHistory can't reach back past its retention; a period
+// that has expired would otherwise come back as zero km and zero buses
+function breadcrumbRange(query, options) {
+  const range = parseDateRange(query, options);
+  if (!range) throw badRequest('Invalid from/to date range');
+  const availableFrom = LocationHistory.dataAvailableFrom();
+  if (range.from < availableFrom) {
+    throw unprocessable('Location history does not go back that far', [
+      { field: 'query.from', message: `must not be before ${availableFrom.toISOString()}` }
+    ]);
+  }
+  return range;
+}
+
+// GET /api/reports/service-km - distance driven per bus (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &route=&bus=&driver= &format=json|csv
+// Sums the breadcrumb distances of accepted location fixes; daysActive counts local days with any fix.
+// `from` must be within the location history retention (LOCATION_HISTORY_TTL_DAYS).
+router.get('/service-km', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: fleetReportQuery }), async (req, res, next) => {
+  try {
+    const range = breadcrumbRange(req.query, { defaultHours: 7 * 24 });
+
+    const rows = await LocationHistory.aggregate([
+      { $match: { recordedAt: { $gte: range.from, $lte: range.to }, ...fleetFilters(req.query) } },
+      {
+        $group: {
+          _id: '$bus',
+          distanceKm: { $sum: '$distanceFromPrevKm' },
+          fixes: { $sum: 1 },
+          days: { $addToSet: { $dateToString: { date: '$recordedAt', format: '%Y-%m-%d', timezone: LOCAL_TIMEZONE } } },
+          firstFix: { $min: '$recordedAt' },
+          lastFix: { $max: '$recordedAt' }
+        }
+      },
+      ...lookupOne('buses', '_id', 'bus', { busNumber: 1, busName: 1 }),
+      { $sort: { distanceKm: -1 } }
+    ]);
+
+    sendReport(req, res, 'service-km', {
+      range,
+      timezone: LOCAL_TIMEZONE,
+      columns: ['busId', 'busNumber', 'busName', 'distanceKm', 'daysActive', 'fixes', 'firstFix', 'lastFix'],
+      rows: rows.map(r => ({
+        busId: r._id,
+        busNumber: r.bus?.busNumber,
+        busName: r.bus?.busName,
+        distanceKm: round2(r.distanceKm),
+        daysActive: r.days.length,
+        fixes: r.fixes,
+        firstFix: r.firstFix,
+        lastFix: r.lastFix,
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/reports/driver-hours - hours on shift per driver (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &route=&bus=&driver= &format=json|csv
+// Shifts overlapping the range count only the overlapping part; open shifts run to now.
+// distanceKm is that of closed shifts, in full.
+router.get('/driver-hours', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: fleetReportQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 7 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+    const now = new Date();
+
+    const rows = await Shift.aggregate([
+      {
+        $match: {
+          startedAt: { $lte: range.to },
+          $or: [{ endedAt: null }, { endedAt: { $gte: range.from } }],
+          ...fleetFilters(req.query)
+        }
+      },
+      { $sort: { startedAt: -1 } },
+      {
+        $project: {
+          driver: 1,
+          driverName: 1,
+          status: 1,
+          distanceKm: 1,
+          from: { $max: ['$startedAt', range.from] },
+          to: { $min: [{ $ifNull: ['$endedAt', now] }, range.to] }
+        }
+      },
+      {
+        $group: {
+          _id: '$driver',
+          driverName: { $first: '$driverName' },
+          shifts: { $sum: 1 },
+          openShifts: { $sum: { $cond: [{ $eq: ['$status', 'open'] }, 1, 0] } },
+          milliseconds: { $sum: { $max: [{ $subtract: ['$to', '$from'] }, 0] } },
+          distanceKm: { $sum: '$distanceKm' }
+        }
+      },
+      { $sort: { milliseconds: -1 } }
+    ]);
+
+    sendReport(req, res, 'driver-hours', {
+      range,
+      columns: ['driverId', 'driverName', 'shifts', 'openShifts', 'hours', 'avgShiftHours', 'distanceKm'],
+      rows: rows.map(r => {
+        const hours = r.milliseconds / (60 * 60 * 1000);
+        return {
+          driverId: r._id,
+          driverName: r.driverName,
+          shifts: r.shifts,
+          openShifts: r.openShifts,
+          hours: round2(hours),
+          avgShiftHours: round2(hours / r.shifts),
+          distanceKm: round2(r.distanceKm),
+        };
+      })
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/reports/route-speed - average speed per route (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &route=&bus=&driver= &format=json|csv
+// avgSpeedKmh covers every fix, stops and traffic included; movingAvgSpeedKmh only
+// fixes at walking pace or faster (the idle threshold in services/vehicleStatus.js).
+// `from` must be within the location history retention.
+router.get('/route-speed', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: fleetReportQuery }), async (req, res, next) => {
+  try {
+    const range = breadcrumbRange(req.query, { defaultHours: 7 * 24 });
+
+    const rows = await LocationHistory.aggregate([
+      { $match: { recordedAt: { $gte: range.from, $lte: range.to }, route: { $ne: null }, ...fleetFilters(req.query) } },
+      {
+        $group: {
+          _id: '$route',
+          fixes: { $sum: 1 },
+          buses: { $addToSet: '$bus' },
+          avgSpeedKmh: { $avg: '$speed' },
+          movingAvgSpeedKmh: { $avg: { $cond: [{ $gte: ['$speed', IDLE_SPEED_KMH] }, '$speed', null] } },
+          maxSpeedKmh: { $max: '$speed' },
+          distanceKm: { $sum: '$distanceFromPrevKm' }
+        }
+      },
+      ...lookupOne('routes', '_id', 'route', { name: 1, routeNumber: 1 }),
+      { $sort: { 'route.routeNumber': 1 } }
+    ]);
+
+    sendReport(req, res, 'route-speed', {
+      range,
+      columns: ['routeId', 'routeNumber', 'routeName', 'buses', 'fixes', 'avgSpeedKmh', 'movingAvgSpeedKmh', 'maxSpeedKmh', 'distanceKm'],
+      rows: rows.map(r => ({
+        routeId: r._id,
+        routeNumber: r.route?.routeNumber,
+        routeName: r.route?.name,
+        buses: r.buses.length,
+        fixes: r.fixes,
+        avgSpeedKmh: round2(r.avgSpeedKmh),
+        movingAvgSpeedKmh: round2(r.movingAvgSpeedKmh),
+        maxSpeedKmh: round2(r.maxSpeedKmh),
+        distanceKm: round2(r.distanceKm),
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// GET /api/reports/active-buses - buses that reported a location in each hour (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 24 hours, at most 93 days) &route=&bus=&driver= &format=json|csv
+// Every hour in the range is listed, including ones with no buses. Hours are in the server's local time zone.
+// `from` must be within the location history retention.
+router.get('/active-buses', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: fleetReportQuery }), async (req, res, next) => {
+  try {
+    const range = breadcrumbRange(req.query, { defaultHours: 24 });
+
+    // Local hour starts covering the range (server time zone = LOCAL_TIMEZONE)
+    const hours = [];
+    const cursor = new Date(range.from);
+    cursor.setMinutes(0, 0, 0);
+    for (; cursor <= range.to; cursor.setTime(cursor.getTime() + 60 * 60 * 1000)) {
+      if (hours.length === MAX_HOURLY_BUCKETS) throw unprocessable('Range is too long for an hourly report (at most 93 days)');
+      hours.push(new Date(cursor));
+    }
+
+    const counts = await LocationHistory.aggregate([
+      { $match: { recordedAt: { $gte: range.from, $lte: range.to }, ...fleetFilters(req.query) } },
+      {
+        $group: {
+          _id: { $dateToString: { date: '$recordedAt', format: '%Y-%m-%d %H:00', timezone: LOCAL_TIMEZONE } },
+          buses: { $addToSet: '$bus' }
+        }
+      },
+      { $project: { activeBuses: { $size: '$buses' } } }
+    ]);
+    const byHour = new Map(counts.map(c => [c._id, c.activeBuses]));
+
+    const rows = hours.map(h => {
+      const localHour = `${h.getFullYear()}-${pad2(h.getMonth() + 1)}-${pad2(h.getDate())} ${pad2(h.getHours())}:00`;
+      return { hourStart: h, localHour, activeBuses: byHour.get(localHour) || 0 };
+    });
+
+    sendReport(req, res, 'active-buses', {
+      range,
+      timezone: LOCAL_TIMEZONE,
+      peakActiveBuses: Math.max(0, ...rows.map(r => r.activeBuses)),
+      columns: ['hourStart', 'localHour', 'activeBuses'],
+      rows
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/reports/on-time - timetable adherence at stops (reports:read)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &route=&bus= &groupBy=route|stop &format=json|csv
+// Counts arrivals of buses running a scheduled trip. On time means no more than
+// ON_TIME_EARLY_MINUTES early and ON_TIME_LATE_MINUTES late (services/schedule.js).
+router.get('/on-time', requirePermission(PERMISSIONS.REPORTS_READ), validate({ query: onTimeQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 7 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+    const byStop = req.query.groupBy === 'stop';
+
+    const rows = await StopEvent.aggregate([
+      {
+        $match: {
+          timestamp: { $gte: range.from, $lte: range.to },
+          type: 'arrival',
+          delaySeconds: { $ne: null },
+          ...fleetFilters(req.query, ['route', 'bus'])
+        }
+      },
+      {
+        $group: {
+          _id: byStop ? '$stop' : '$route',
+          arrivals: { $sum: 1 },
+          early: { $sum: { $cond: [{ $lt: ['$delaySeconds', -ON_TIME_EARLY_MINUTES * 60] }, 1, 0] } },
+          late: { $sum: { $cond: [{ $gt: ['$delaySeconds', ON_TIME_LATE_MINUTES * 60] }, 1, 0] } },
+          avgDelaySeconds: { $avg: '$delaySeconds' },
+          maxDelaySeconds: { $max: '$delaySeconds' }
+        }
+      },
+      ...(byStop
+        ? lookupOne('stops', '_id', 'stop', { name: 1, stopCode: 1 })
+        : lookupOne('routes', '_id', 'route', { name: 1, routeNumber: 1 })),
+      { $sort: byStop ? { 'stop.stopCode': 1 } : { 'route.routeNumber': 1 } }
+    ]);
+
+    const keyColumns = byStop ? ['stopId', 'stopCode', 'stopName'] : ['routeId', 'routeNumber', 'routeName'];
+    sendReport(req, res, 'on-time', {
+      range,
+      groupBy: byStop ? 'stop' : 'route',
+      onTimeWindow: { earlyMinutes: ON_TIME_EARLY_MINUTES, lateMinutes: ON_TIME_LATE_MINUTES },
+      columns: [...keyColumns, 'arrivals', 'onTime', 'early', 'late', 'onTimePercent', 'avgDelayMinutes', 'maxDelayMinutes'],
+      rows: rows.map(r => {
+        const onTime = r.arrivals - r.early - r.late;
+        return {
+          ...(byStop
+            ? { stopId: r._id, stopCode: r.stop?.stopCode, stopName: r.stop?.name }
+            : { routeId: r._id, routeNumber: r.route?.routeNumber, routeName: r.route?.name }),
+          arrivals: r.arrivals,
+          onTime,
+          early: r.early,
+          late: r.late,
+          onTimePercent: round2((onTime / r.arrivals) * 100),
+          avgDelayMinutes: round2(r.avgDelaySeconds / 60),
+          maxDelayMinutes: round2(r.maxDelaySeconds / 60),
+        };
+      })
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
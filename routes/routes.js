@@ -2,82 +2,146 @@ const express = require('express');
 const router = express.Router();
 const Route = require('../models/Route');
 const Stop = require('../models/Stop');
-const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { notFound } = require('../utils/httpError');
+const { validate, partial } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { activeAlertsFor } = require('../services/serviceAlerts');
+const { idParams } = require('../validators/common');
+const { routeFields, segmentStatsQuery } = require('../validators/routes');
+const { invalidateFootpaths } = require('../services/journeyPlanner');
 
 // GET all routes (public)
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
     const routes = await Route.find({ isActive: true })
       .populate('stops.stop', 'name stopCode location address');
     res.json(routes);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// GET single route with all stops
-router.get('/:id', async (req, res) => {
+// GET single route with all stops, plus active service alerts for the route and its stops
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const route = await Route.findById(req.params.id)
       .populate('stops.stop');
-    if (!route) return res.status(404).json({ message: 'Route not found' });
-    res.json(route);
+    if (!route) throw notFound('Route not found');
+
+    const alerts = await activeAlertsFor({
+      routes: [route._id],
+      stops: route.stops.filter(s => s.stop).map(s => s.stop._id)
+    });
+    res.json({ ...route.toObject(), alerts });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// POST create route (admin only)
-router.post('/', authMiddleware, async (req, res) => {
+// GET learned segment travel times for a route (tracking:history)
+// Optional query: ?weekday=0-6&hour=0-23
+router.get('/:id/segment-stats', requirePermission(PERMISSIONS.TRACKING_HISTORY), validate({ params: idParams, query: segmentStatsQuery }), async (req, res, next) => {
   try {
-    const { name, routeNumber, description, stops } = req.body;
+    const SegmentStat = require('../models/SegmentStat');
+    const filter = { route: req.params.id };
+    if (req.query.weekday !== undefined) filter.weekday = parseInt(req.query.weekday);
+    if (req.query.hour !== undefined) filter.hour = parseInt(req.query.hour);
+
+    const stats = await SegmentStat.find(filter)
+      .sort({ fromIndex: 1, weekday: 1, hour: 1 })
+      .populate('fromStop toStop', 'name stopCode')
+      .lean();
+
+    res.json(stats.map(s => {
+      const mean = s.sumSeconds / s.count;
+      return {
+        fromIndex: s.fromIndex,
+        toIndex: s.toIndex,
+        fromStop: s.fromStop,
+        toStop: s.toStop,
+        weekday: s.weekday,
+        hour: s.hour,
+        count: s.count,
+        meanSeconds: Math.round(mean),
+        stdSeconds: Math.round(Math.sqrt(Math.max(0, s.sumSquares / s.count - mean * mean))),
+        minSeconds: s.minSeconds,
+        maxSeconds: s.maxSeconds,
+      };
+    }));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const route = new Route({ name, routeNumber, description, stops });
+// POST create route (routes:write)
+// Body: { name, routeNumber, description?, stops: [{ stop, order, distanceFromPrev?, dwellSeconds? }] }
+router.post('/', requirePermission(PERMISSIONS.ROUTES_WRITE), validate({ body: routeFields }), async (req, res, next) => {
+  try {
+    const route = new Route(req.body);
     await route.save();
 
     // Update each stop to include this route reference
-    for (const stopEntry of stops) {
+    for (const stopEntry of route.stops) {
       await Stop.findByIdAndUpdate(stopEntry.stop, {
         $addToSet: { routes: route._id }
       });
     }
+    invalidateFootpaths();
+    await recordAudit(req, { action: 'route.create', entity: 'Route', after: route });
 
     res.status(201).json(route);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// PUT update route
-router.put('/:id', authMiddleware, async (req, res) => {
+// PUT update route (routes:write)
+// Body: any of { name, routeNumber, description, stops, isActive }
+router.put('/:id', requirePermission(PERMISSIONS.ROUTES_WRITE), validate({ params: idParams, body: partial(routeFields) }), async (req, res, next) => {
   try {
-    const route = await Route.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const before = await Route.findById(req.params.id).lean();
+    if (!before) throw notFound('Route not found');
+    const route = await Route.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    invalidateFootpaths();
+    await recordAudit(req, { action: 'route.update', entity: 'Route', before, after: route });
     res.json(route);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 module.exports = router;
 
-// DELETE /api/routes/:id  (admin only)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/routes/:id  (routes:delete)
+router.delete('/:id', requirePermission(PERMISSIONS.ROUTES_DELETE), validate({ params: idParams }), async (req, res, next) => {
   try {
     const route = await Route.findByIdAndDelete(req.params.id);
-    if (!route) return res.status(404).json({ message: 'Route not found' });
+    if (!route) throw notFound('Route not found');
 
     // Remove this route reference from all stops
     await Stop.updateMany(
       { routes: req.params.id },
       { $pull: { routes: route._id } }
     );
+    invalidateFootpaths();
 
     // Unassign route from any buses using it
     const Bus = require('../models/Bus');
-    await Bus.updateMany({ route: req.params.id }, { route: null });
+    const buses = await Bus.updateMany({ route: req.params.id }, { route: null, currentTrip: null });
+
+    // Its timetable goes with it
+    const Trip = require('../models/Trip');
+    const trips = await Trip.deleteMany({ route: route._id });
+
+    await recordAudit(req, {
+      action: 'route.delete', entity: 'Route', before: route,
+      meta: { busesUnassigned: buses.modifiedCount, tripsDeleted: trips.deletedCount }
+    });
 
     res.json({ message: `Route "${route.routeNumber} — ${route.name}" deleted.` });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
\ No newline at end of file
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Trip = require('../models/Trip');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { generateStopTimes, normaliseStopTimes, upcomingStopDepartures } = require('../services/schedule');
+const { parseServiceTime, formatServiceTime } = require('../utils/serviceTime');
+const { notFound, conflict, unprocessable } = require('../utils/httpError');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const schemas = require('../validators/schedules');
+const { recordAudit } = require('../services/audit');
+
+// ─── Service calendars ────────────────────────────────────────────────────────
+
+// GET /api/schedules/calendars
+router.get('/calendars', async (req, res, next) => {
+  try {
+    const calendars = await ServiceCalendar.find().sort({ serviceId: 1 });
+    res.json(calendars);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/schedules/calendars (schedules:write)
+// Body: { serviceId, name, days: { monday: true, ... }, startDate?, endDate?, exceptions?: [{ date: 'YYYY-MM-DD', type: 'added'|'removed', note }] }
+router.post('/calendars', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ body: schemas.calendarFields }), async (req, res, next) => {
+  try {
+    const existing = await ServiceCalendar.findOne({ serviceId: req.body.serviceId });
+    if (existing) throw conflict(`Service "${req.body.serviceId}" already exists`);
+
+    const calendar = new ServiceCalendar(req.body);
+    await calendar.save();
+    await recordAudit(req, { action: 'calendar.create', entity: 'ServiceCalendar', after: calendar });
+    res.status(201).json(calendar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/schedules/calendars/:id (schedules:write)
+router.put('/calendars/:id', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ params: idParams, body: schemas.calendarUpdateFields }), async (req, res, next) => {
+  try {
+    const { name, days, startDate, endDate, exceptions } = req.body;
+    const calendar = await ServiceCalendar.findById(req.params.id);
+    if (!calendar) throw notFound('Service calendar not found');
+    const before = calendar.toObject();
+
+    if (name !== undefined) calendar.name = name;
+    if (days !== undefined) calendar.days = days;
+    if (startDate !== undefined) calendar.startDate = startDate;
+    if (endDate !== undefined) calendar.endDate = endDate;
+    if (exceptions !== undefined) calendar.exceptions = exceptions;
+    await calendar.save();
+    await recordAudit(req, { action: 'calendar.update', entity: 'ServiceCalendar', before, after: calendar });
+    res.json(calendar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/schedules/calendars/:id (schedules:write) — refused while trips still use it
+router.delete('/calendars/:id', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const inUse = await Trip.countDocuments({ service: req.params.id });
+    if (inUse) {
+      throw conflict(`${inUse} trip(s) still use this service calendar`);
+    }
+    const calendar = await ServiceCalendar.findByIdAndDelete(req.params.id);
+    if (!calendar) throw notFound('Service calendar not found');
+    await recordAudit(req, { action: 'calendar.delete', entity: 'ServiceCalendar', before: calendar });
+    res.json({ message: `Service "${calendar.serviceId}" deleted.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Trips ────────────────────────────────────────────────────────────────────
+
+// GET /api/schedules/trips?route=<routeId>&service=<calendarId>
+router.get('/trips', validate({ query: schemas.tripsQuery }), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.route) filter.route = req.query.route;
+    if (req.query.service) filter.service = req.query.service;
+
+    const trips = await Trip.find(filter)
+      .populate('route', 'name routeNumber')
+      .populate('service', 'serviceId name');
+    trips.sort((a, b) => (a.stopTimes[0]?.departure ?? 0) - (b.stopTimes[0]?.departure ?? 0));
+    res.json(trips);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/schedules/trips/:id
+router.get('/trips/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id)
+      .populate('route', 'name routeNumber')
+      .populate('service', 'serviceId name')
+      .populate('stopTimes.stop', 'name stopCode');
+    if (!trip) throw notFound('Trip not found');
+    res.json(trip);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Stop times from the request body: explicit stopTimes, or estimated from a startTime
+function stopTimesFromBody(route, { stopTimes, startTime }) {
+  if (stopTimes) return normaliseStopTimes(route, stopTimes);
+  const start = parseServiceTime(startTime);
+  if (isNaN(start)) {
+    throw unprocessable('Provide stopTimes or a startTime (HH:MM)');
+  }
+  return generateStopTimes(route, start);
+}
+
+// POST /api/schedules/trips (schedules:write)
+// Body: { tripCode, route, service, headsign?, stopTimes: [{ stopIndex, arrival: '07:15', departure? }] }
+//   or: { tripCode, route, service, headsign?, startTime: '07:15' }  — times estimated from distances
+router.post('/trips', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ body: schemas.tripFields }), async (req, res, next) => {
+  try {
+    const { tripCode, route: routeId, service: serviceId, headsign, isActive } = req.body;
+
+    const [route, service, existing] = await Promise.all([
+      Route.findById(routeId).populate('stops.stop'),
+      ServiceCalendar.findById(serviceId),
+      Trip.findOne({ tripCode })
+    ]);
+    if (!route) throw notFound('Route not found');
+    if (!service) throw notFound('Service calendar not found');
+    if (existing) throw conflict(`Trip "${tripCode}" already exists`);
+
+    const trip = new Trip({
+      tripCode,
+      route: route._id,
+      service: service._id,
+      headsign,
+      isActive,
+      stopTimes: stopTimesFromBody(route, req.body)
+    });
+    await trip.save();
+    await recordAudit(req, { action: 'trip.create', entity: 'Trip', after: trip });
+    res.status(201).json(trip);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/schedules/trips/generate — create a run of trips at a fixed headway (schedules:write)
+// Body: { route, service, firstDeparture: '06:00', lastDeparture: '21:00', headwayMinutes: 15, headsign? }
+// Trip codes are <routeNumber>_<serviceId>_<HHMM>; existing codes are skipped.
+router.post('/trips/generate', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ body: schemas.generateTrips }), async (req, res, next) => {
+  try {
+    const { route: routeId, service: serviceId, firstDeparture, lastDeparture, headwayMinutes, headsign } = req.body;
+    const first = parseServiceTime(firstDeparture);
+    const last = parseServiceTime(lastDeparture);
+    const headway = headwayMinutes;
+    if (isNaN(first) || isNaN(last) || last < first) {
+      throw unprocessable('lastDeparture must be a valid time no earlier than firstDeparture');
+    }
+
+    const [route, service] = await Promise.all([
+      Route.findById(routeId).populate('stops.stop'),
+      ServiceCalendar.findById(serviceId)
+    ]);
+    if (!route) throw notFound('Route not found');
+    if (!service) throw notFound('Service calendar not found');
+
+    const trips = [];
+    for (let start = first; start <= last; start += headway * 60) {
+      const hhmm = formatServiceTime(start).slice(0, 5).replace(':', '');
+      trips.push({
+        tripCode: `${route.routeNumber}_${service.serviceId}_${hhmm}`,
+        route: route._id,
+        service: service._id,
+        headsign,
+        stopTimes: generateStopTimes(route, start)
+      });
+    }
+
+    const existing = await Trip.find({ tripCode: { $in: trips.map(t => t.tripCode) } }, 'tripCode');
+    const taken = new Set(existing.map(t => t.tripCode));
+    const created = await Trip.insertMany(trips.filter(t => !taken.has(t.tripCode)));
+    await recordAudit(req, {
+      action: 'trip.generate', entity: 'Route', entityId: route._id,
+      meta: { service: service._id, headwayMinutes: headway, tripCodes: created.map(t => t.tripCode) }
+    });
+
+    res.status(201).json({
+      message: `${created.length} trip(s) created, ${taken.size} already existed.`,
+      trips: created
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/schedules/trips/:id (schedules:write)
+// Body: any of { tripCode, service, headsign, isActive, stopTimes | startTime }
+router.put('/trips/:id', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ params: idParams, body: schemas.tripUpdateFields }), async (req, res, next) => {
+  try {
+    const trip = await Trip.findById(req.params.id);
+    if (!trip) throw notFound('Trip not found');
+    const before = trip.toObject();
+
+    const { tripCode, service, headsign, isActive, stopTimes, startTime } = req.body;
+    if (tripCode !== undefined) trip.tripCode = tripCode;
+    if (service !== undefined) {
+      if (!await ServiceCalendar.exists({ _id: service })) {
+        throw notFound('Service calendar not found');
+      }
+      trip.service = service;
+    }
+    if (headsign !== undefined) trip.headsign = headsign;
+    if (isActive !== undefined) trip.isActive = isActive;
+    if (stopTimes !== undefined || startTime !== undefined) {
+      const route = await Route.findById(trip.route).populate('stops.stop');
+      trip.stopTimes = stopTimesFromBody(route, { stopTimes, startTime });
+    }
+
+    await trip.save();
+    await recordAudit(req, { action: 'trip.update', entity: 'Trip', before, after: trip });
+    res.json(trip);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/schedules/trips/:id (schedules:write)
+router.delete('/trips/:id', requirePermission(PERMISSIONS.SCHEDULES_WRITE), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const trip = await Trip.findByIdAndDelete(req.params.id);
+    if (!trip) throw notFound('Trip not found');
+
+    // Buses running it carry on unscheduled
+    const buses = await Bus.updateMany({ currentTrip: trip._id }, { currentTrip: null });
+    await recordAudit(req, {
+      action: 'trip.delete', entity: 'Trip', before: trip,
+      meta: { busesUnscheduled: buses.modifiedCount }
+    });
+
+    res.json({ message: `Trip "${trip.tripCode}" deleted.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Stop timetable ───────────────────────────────────────────────────────────
+
+// GET /api/schedules/stops/:stopId/departures?windowMinutes=180 (public)
+router.get('/stops/:stopId/departures', validate({ params: { stopId: idParams.id }, query: schemas.departuresQuery }), async (req, res, next) => {
+  try {
+    const windowMinutes = Math.min(parseInt(req.query.windowMinutes) || 180, 24 * 60);
+    const departures = await upcomingStopDepartures(req.params.stopId, { windowMinutes });
+    res.json(departures.map(d => ({
+      tripId: d.trip.tripCode,
+      headsign: d.trip.headsign,
+      routeName: d.trip.route?.name,
+      routeNumber: d.trip.route?.routeNumber,
+      scheduledArrival: d.arrival,
+      scheduledDeparture: d.departure,
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
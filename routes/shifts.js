@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Shift = require('../models/Shift');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const { shiftsQuery, timesheetQuery } = require('../validators/shifts');
+const { parseDateRange, LOCAL_TIMEZONE } = require('../utils/dateRange');
+const { badRequest, notFound } = require('../utils/httpError');
+
+const canManage = requirePermission(PERMISSIONS.SHIFTS_MANAGE);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// GET /api/shifts - shifts, newest first (shifts:manage)
+// Optional query: ?driver=<userId>&bus=<busId>&route=<routeId>&status=open|closed&from=ISO&to=ISO&limit=50&page=1
+// from/to filter on the clock-in time.
+router.get('/', canManage, validate({ query: shiftsQuery }), async (req, res, next) => {
+  try {
+    const { driver, bus, route, status, from, to } = req.query;
+    const filter = {};
+    if (driver) filter.driver = driver;
+    if (bus) filter.bus = bus;
+    if (route) filter.route = route;
+    if (status) filter.status = status;
+    if (from || to) {
+      filter.startedAt = {};
+      if (from) filter.startedAt.$gte = new Date(from);
+      if (to) filter.startedAt.$lte = new Date(to);
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+
+    const [shifts, total] = await Promise.all([
+      Shift.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Shift.countDocuments(filter)
+    ]);
+
+    res.json({ total, page, limit, shifts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/shifts/timesheets - hours and distance per driver per day (shifts:manage)
+// Optional query: ?from=ISO&to=ISO (default last 7 days) &driver=<userId>
+// Closed shifts only, counted on the local day they started. Open shifts are listed separately.
+router.get('/timesheets', canManage, validate({ query: timesheetQuery }), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query, { defaultHours: 7 * 24 });
+    if (!range) throw badRequest('Invalid from/to date range');
+
+    const match = { startedAt: { $gte: range.from, $lte: range.to } };
+    if (req.query.driver) match.driver = new mongoose.Types.ObjectId(req.query.driver);
+
+    const [days, open] = await Promise.all([
+      Shift.aggregate([
+        { $match: { ...match, status: 'closed' } },
+        {
+          $group: {
+            _id: {
+              driver: '$driver',
+              date: { $dateToString: { date: '$startedAt', format: '%Y-%m-%d', timezone: LOCAL_TIMEZONE } }
+            },
+            driverName: { $last: '$driverName' },
+            shifts: { $sum: 1 },
+            minutes: { $sum: '$durationMinutes' },
+            distanceKm: { $sum: '$distanceKm' }
+          }
+        },
+        { $sort: { '_id.date': 1 } }
+      ]),
+      Shift.find({ ...match, status: 'open' }, 'driver driverName busNumber startedAt')
+    ]);
+
+    const byDriver = new Map();
+    for (const d of days) {
+      const key = d._id.driver.toString();
+      if (!byDriver.has(key)) {
+        byDriver.set(key, { driverId: d._id.driver, driverName: d.driverName, shifts: 0, minutes: 0, distanceKm: 0, days: [] });
+      }
+      const sheet = byDriver.get(key);
+      sheet.shifts += d.shifts;
+      sheet.minutes += d.minutes;
+      sheet.distanceKm += d.distanceKm;
+      sheet.days.push({ date: d._id.date, shifts: d.shifts, minutes: d.minutes, distanceKm: round2(d.distanceKm) });
+    }
+
+    const timesheets = [...byDriver.values()]
+      .map(t => ({ ...t, hours: round2(t.minutes / 60), distanceKm: round2(t.distanceKm) }))
+      .sort((a, b) => (a.driverName || '').localeCompare(b.driverName || ''));
+
+    res.json({ from: range.from, to: range.to, timezone: LOCAL_TIMEZONE, timesheets, openShifts: open });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/shifts/:id (shifts:manage)
+router.get('/:id', canManage, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const shift = await Shift.findById(req.params.id)
+      .populate('startedBy', 'name role')
+      .populate('endedBy', 'name role');
+    if (!shift) throw notFound('Shift not found');
+    res.json(shift);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,126 +1,231 @@
 const express = require('express');
 const router = express.Router();
-const QRCode = require('qrcode');
 const Stop = require('../models/Stop');
-const authMiddleware = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { parseNearbyQuery } = require('../utils/geo');
+const { WALKING_SPEED_KMH } = require('../utils/eta');
+const { badRequest, notFound, unprocessable } = require('../utils/httpError');
+const { validate, partial } = require('../middleware/validate');
+const { recordAudit } = require('../services/audit');
+const { activeAlertsFor } = require('../services/serviceAlerts');
+const { idParams } = require('../validators/common');
+const { stopFields, nearbyStopsQuery, stopCodeParams, qrQuery, stopSigns } = require('../validators/stops');
+const { stopUrl, renderStopQr, stopQrDataUrl } = require('../services/qr');
+const { buildStopSignsPdf } = require('../services/stopSigns');
+const { recordStopLookup } = require('../services/stopLookups');
+const { invalidateFootpaths } = require('../services/journeyPlanner');
 
 // GET all stops (public)
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
     const stops = await Stop.find({ isActive: true }).populate('routes', 'name routeNumber');
     res.json(stops);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
+// GET /api/stops/nearby?lat=11.66&lng=78.14 (public) - stops around a point, nearest first
+// Optional: &radius=1000 (metres, max 5000) &limit=20 &routeNumber=19C &activeOnly=false
+router.get('/nearby', validate({ query: nearbyStopsQuery }), async (req, res, next) => {
+  try {
+    const near = parseNearbyQuery(req.query);
+    if (!near) throw badRequest('Valid lat and lng are required');
+
+    const filter = {};
+    if (near.activeOnly) filter.isActive = true;
+    if (req.query.routeNumber) {
+      const Route = require('../models/Route');
+      const route = await Route.findOne({ routeNumber: req.query.routeNumber }, '_id');
+      if (!route) return res.json([]);
+      filter.routes = route._id;
+    }
+
+    const stops = await Stop.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [near.lng, near.lat] },
+          distanceField: 'distanceMeters',
+          maxDistance: near.radius,
+          spherical: true,
+          query: filter
+        }
+      },
+      { $limit: near.limit },
+      {
+        $lookup: {
+          from: 'routes',
+          localField: 'routes',
+          foreignField: '_id',
+          as: 'routes',
+          pipeline: [{ $project: { name: 1, routeNumber: 1 } }]
+        }
+      }
+    ]);
+
+    res.json(stops.map(s => ({
+      ...s,
+      distanceMeters: Math.round(s.distanceMeters),
+      walkingMinutes: Math.ceil((s.distanceMeters / 1000 / WALKING_SPEED_KMH) * 60)
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Stop with the active service alerts for it and the routes serving it
+const withAlerts = async (stop) => ({
+  ...stop.toObject(),
+  alerts: await activeAlertsFor({ routes: stop.routes.map(r => r._id), stops: [stop._id] })
+});
+
 // GET single stop by ID (public) - used when QR is scanned
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
   try {
     const stop = await Stop.findById(req.params.id).populate('routes', 'name routeNumber');
-    if (!stop) return res.status(404).json({ message: 'Stop not found' });
-    res.json(stop);
+    if (!stop) throw notFound('Stop not found');
+    res.json(await withAlerts(stop));
+    recordStopLookup(req, stop._id, { source: 'stop' });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 // GET stop by stopCode (alternative lookup)
-router.get('/code/:stopCode', async (req, res) => {
+router.get('/code/:stopCode', validate({ params: stopCodeParams }), async (req, res, next) => {
   try {
     const stop = await Stop.findOne({ stopCode: req.params.stopCode }).populate('routes', 'name routeNumber');
-    if (!stop) return res.status(404).json({ message: 'Stop not found' });
-    res.json(stop);
+    if (!stop) throw notFound('Stop not found');
+    res.json(await withAlerts(stop));
+    recordStopLookup(req, stop._id, { source: 'stop_code' });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// POST create stop and auto-generate QR code (admin only)
-router.post('/', authMiddleware, async (req, res) => {
+// POST create stop (stops:write) — the response carries its QR code
+// Body: { name, stopCode, latitude, longitude, address?, isActive? }
+router.post('/', requirePermission(PERMISSIONS.STOPS_WRITE), validate({ body: stopFields }), async (req, res, next) => {
   try {
-    const { name, stopCode, latitude, longitude, address } = req.body;
+    const { latitude, longitude, ...fields } = req.body;
 
     const stop = new Stop({
-      name,
-      stopCode,
-      address,
+      ...fields,
       location: {
         type: 'Point',
-        coordinates: [parseFloat(longitude), parseFloat(latitude)]
+        coordinates: [longitude, latitude]
       }
     });
 
     await stop.save();
+    invalidateFootpaths();
+    await recordAudit(req, { action: 'stop.create', entity: 'Stop', after: stop });
 
-    // QR points to the PASSENGER frontend (separate app on port 3001)
-    const passengerUrl = 'https://salemoneview.netlify.app';
-    const qrUrl = `${passengerUrl}/stop/${stop._id}`;
-    const qrBase64 = await QRCode.toDataURL(qrUrl, {
-      width: 400,
-      margin: 2,
-      color: { dark: '#1a1a2e', light: '#ffffff' }
-    });
-
-    stop.qrCode = qrBase64;
-    await stop.save();
-
-    res.status(201).json({ stop, qrUrl });
+    res.status(201).json({ stop, qrUrl: stopUrl(stop), qrCode: await stopQrDataUrl(stop) });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// GET regenerate QR for a stop
-router.get('/:id/qr', async (req, res) => {
+// GET QR code for a stop (public), rendered on demand
+// Optional query: ?format=json (default: { qrCode: <data URL>, qrUrl }) | png | svg  &size=400 (pixels)
+router.get('/:id/qr', validate({ params: idParams, query: qrQuery }), async (req, res, next) => {
   try {
-    const stop = await Stop.findById(req.params.id);
-    if (!stop) return res.status(404).json({ message: 'Stop not found' });
-
-    const passengerUrl = process.env.PASSENGER_FRONTEND_URL || 'http://localhost:3001';
-    const qrUrl = `${passengerUrl}/stop/${stop._id}`;
-    const qrBase64 = await QRCode.toDataURL(qrUrl, {
-      width: 400,
-      margin: 2,
-      color: { dark: '#1a1a2e', light: '#ffffff' }
+    const stop = await Stop.findById(req.params.id, 'stopCode');
+    if (!stop) throw notFound('Stop not found');
+
+    const format = req.query.format || 'json';
+    const size = parseInt(req.query.size) || undefined;
+    if (format === 'json') {
+      return res.json({ qrCode: await stopQrDataUrl(stop, { size }), qrUrl: stopUrl(stop) });
+    }
+
+    res.set({
+      'Content-Type': format === 'svg' ? 'image/svg+xml' : 'image/png',
+      'Content-Disposition': `inline; filename="stop-${stop.stopCode}.${format}"`,
+      'Cache-Control': 'public, max-age=86400'
     });
+    res.send(await renderStopQr(stop, format, { size }));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    stop.qrCode = qrBase64;
-    await stop.save();
-
-    res.json({ qrCode: qrBase64, qrUrl });
+// POST /api/stops/signs - print-ready PDF of stop signs (stops:write)
+// Body: { stops: [stopId, ...], pageSize?: 'A4' | 'A3' | 'LETTER', perPage?: 1 | 2 | 4 }
+// Signs come out in the order given: name, code, QR and the routes serving the stop.
+router.post('/signs', requirePermission(PERMISSIONS.STOPS_WRITE), validate({ body: stopSigns }), async (req, res, next) => {
+  try {
+    const ids = [...new Set(req.body.stops)];
+    const found = await Stop.find({ _id: { $in: ids } }, 'name stopCode routes')
+      .populate('routes', 'name routeNumber');
+    const byId = new Map(found.map(s => [s._id.toString(), s]));
+
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length) {
+      throw unprocessable('Validation failed', missing.map(id => ({ field: 'stops', message: `stop ${id} not found` })));
+    }
+
+    const pdf = await buildStopSignsPdf(ids.map(id => byId.get(id)), {
+      pageSize: req.body.pageSize,
+      perPage: req.body.perPage
+    });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename="stop-signs.pdf"'
+    });
+    res.send(pdf);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
-// PUT update stop
-router.put('/:id', authMiddleware, async (req, res) => {
+// PUT update stop (stops:write)
+// Body: any of { name, stopCode, latitude + longitude, address, isActive }
+router.put('/:id', requirePermission(PERMISSIONS.STOPS_WRITE), validate({ params: idParams, body: partial(stopFields) }), async (req, res, next) => {
   try {
-    const stop = await Stop.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const { latitude, longitude, ...fields } = req.body;
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      throw unprocessable('Validation failed', [
+        { field: latitude === undefined ? 'latitude' : 'longitude', message: 'is required when moving a stop' }
+      ]);
+    }
+    if (latitude !== undefined) fields.location = { type: 'Point', coordinates: [longitude, latitude] };
+
+    const before = await Stop.findById(req.params.id).lean();
+    if (!before) throw notFound('Stop not found');
+    const stop = await Stop.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    invalidateFootpaths();
+    await recordAudit(req, { action: 'stop.update', entity: 'Stop', before, after: stop });
     res.json(stop);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
 
 module.exports = router;
 
-// DELETE /api/stops/:id  (admin only)
-router.delete('/:id', authMiddleware, async (req, res) => {
+// DELETE /api/stops/:id  (stops:delete)
+router.delete('/:id', requirePermission(PERMISSIONS.STOPS_DELETE), validate({ params: idParams }), async (req, res, next) => {
   try {
     const stop = await Stop.findByIdAndDelete(req.params.id);
-    if (!stop) return res.status(404).json({ message: 'Stop not found' });
+    if (!stop) throw notFound('Stop not found');
 
     // Remove this stop from all routes that reference it
     const Route = require('../models/Route');
-    await Route.updateMany(
+    const routes = await Route.updateMany(
       { 'stops.stop': req.params.id },
       { $pull: { stops: { stop: req.params.id } } }
     );
+    invalidateFootpaths();
+    await recordAudit(req, {
+      action: 'stop.delete', entity: 'Stop', before: stop,
+      meta: { removedFromRoutes: routes.modifiedCount }
+    });
 
     res.json({ message: `Stop "${stop.name}" deleted.` });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    next(err);
   }
 });
\ No newline at end of file
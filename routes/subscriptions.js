@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const StopSubscription = require('../models/StopSubscription');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const { createSubscription, manageQuery, verifySubscription } = require('../validators/subscriptions');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { HttpError, badRequest, conflict, notFound, unprocessable } = require('../utils/httpError');
+const { createRateLimiter, rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const { sendSms, smsAvailable } = require('../services/sms');
+const { webPushAvailable, isPushServiceEndpoint } = require('../services/notifier');
+
+// Default lifetime of a subscription; MongoDB removes it after expiresAt
+const DEFAULT_EXPIRES_MINUTES = 120;
+
+// Which target field each channel needs
+const CHANNEL_TARGET = { webpush: 'pushSubscription', webhook: 'url', sms: 'phone' };
+
+// Creation is anonymous, so it is limited per client and per notification target
+const HOUR_MS = 60 * 60 * 1000;
+const perClientLimit = rateLimit({ windowMs: HOUR_MS, max: 10, message: 'Too many subscriptions from this client, try again later' });
+const hitTarget = createRateLimiter({ windowMs: HOUR_MS, max: 5 });
+
+// SMS confirmation codes
+const VERIFY_TTL_MINUTES = 10;
+const VERIFY_MAX_ATTEMPTS = 5;
+const hashCode = (subId, code) => hashToken(`${subId}:${code}`);
+
+// Channels that reach outside the API are off unless the server opts in:
+//   webpush — VAPID keys set; endpoints only on known push services (services/notifier.js)
+//   sms     — SUBSCRIPTION_SMS_ENABLED=true and an SMS provider; the number must confirm a texted code
+//   webhook — SUBSCRIPTION_WEBHOOK_HOSTS=host1,host2; only URLs on those hosts
+//   console — development only, never with NODE_ENV=production
+function channelRefusal(channel, target) {
+  if (channel === 'webpush') {
+    if (!webPushAvailable()) return { field: 'channel', message: 'webpush is not enabled on this server' };
+    if (!isPushServiceEndpoint(target.pushSubscription.endpoint)) {
+      return { field: 'target.pushSubscription.endpoint', message: 'is not a known push service' };
+    }
+  }
+  if (channel === 'console' && process.env.NODE_ENV === 'production') {
+    return { field: 'channel', message: 'console is not available' };
+  }
+  if (channel === 'sms' && (process.env.SUBSCRIPTION_SMS_ENABLED !== 'true' || !smsAvailable())) {
+    return { field: 'channel', message: 'sms is not enabled on this server' };
+  }
+  if (channel === 'webhook') {
+    const hosts = (process.env.SUBSCRIPTION_WEBHOOK_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    if (!hosts.length) return { field: 'channel', message: 'webhook is not enabled on this server' };
+    if (!hosts.includes(URL.parse(target.url)?.hostname.toLowerCase())) {
+      return { field: 'target.url', message: 'host is not on the allowed list' };
+    }
+  }
+  return null;
+}
+
+// What the per-target limit counts against: the phone, URL or push endpoint
+const targetKey = (channel, target) =>
+  `${channel}:${target.phone || target.url || target.pushSubscription?.endpoint || ''}`;
+
+const toJSON = (sub) => ({
+  _id: sub._id,
+  stop: sub.stop,
+  route: sub.route,
+  thresholdMinutes: sub.thresholdMinutes,
+  thresholdStops: sub.thresholdStops,
+  channel: sub.channel,
+  status: sub.status,
+  notifiedAt: sub.notifiedAt,
+  notifiedEtaMinutes: sub.notifiedEtaMinutes,
+  expiresAt: sub.expiresAt,
+});
+
+// Subscriptions are anonymous — the manage token returned at creation proves ownership
+async function findOwned(req) {
+  const token = req.get('x-subscription-token') || req.query.token;
+  const sub = await StopSubscription.findById(req.params.id);
+  if (!sub || !token || sub.manageTokenHash !== hashToken(token)) throw notFound('Subscription not found');
+  return sub;
+}
+
+// GET /api/subscriptions/vapid-public-key - key the browser needs for pushManager.subscribe (public)
+router.get('/vapid-public-key', (req, res, next) => {
+  if (!process.env.VAPID_PUBLIC_KEY) return next(new HttpError(503, 'Web Push is not configured'));
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+});
+
+// POST /api/subscriptions - notify me when a bus is near this stop (public)
+// Body: { stop, route?, thresholdMinutes?, thresholdStops?, channel, target, expiresInMinutes? }
+//   channel webpush → target.pushSubscription, webhook → target.url (https), sms → target.phone
+// Returns a manageToken — send it as X-Subscription-Token (or ?token=) to check or cancel.
+// Every channel but console needs server configuration (see channelRefusal). SMS subscriptions stay pending
+// until the texted code is sent to POST /:id/verify.
+router.post('/', perClientLimit, validate({ body: createSubscription }), async (req, res, next) => {
+  try {
+    const { stop: stopId, route: routeId, thresholdMinutes, thresholdStops, channel, target, expiresInMinutes } = req.body;
+
+    if (thresholdMinutes === undefined && thresholdStops === undefined) {
+      throw unprocessable('Provide thresholdMinutes and/or thresholdStops');
+    }
+    const targetField = CHANNEL_TARGET[channel];
+    if (targetField && !target[targetField]) {
+      throw unprocessable('Validation failed', [{ field: `target.${targetField}`, message: `is required for ${channel}` }]);
+    }
+    const refusal = channelRefusal(channel, target);
+    if (refusal) throw unprocessable('Validation failed', [refusal]);
+
+    const retryAfter = hitTarget(targetKey(channel, target));
+    if (retryAfter) throw tooManyRequests(res, retryAfter, 'Too many subscriptions for this target, try again later');
+
+    const stop = await Stop.findById(stopId, 'name');
+    if (!stop) throw notFound('Stop not found');
+    if (routeId) {
+      const route = await Route.exists({ _id: routeId, 'stops.stop': stop._id });
+      if (!route) throw unprocessable('That route does not serve this stop');
+    }
+
+    const manageToken = randomToken();
+    const sub = new StopSubscription({
+      stop: stop._id,
+      route: routeId || null,
+      thresholdMinutes,
+      thresholdStops,
+      channel,
+      target: targetField ? { [targetField]: target[targetField] } : {},
+      manageTokenHash: hashToken(manageToken),
+      expiresAt: new Date(Date.now() + (expiresInMinutes || DEFAULT_EXPIRES_MINUTES) * 60 * 1000),
+    });
+
+    // Nothing is sent to a phone until its owner proves they asked for it
+    let code;
+    if (channel === 'sms') {
+      code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      sub.status = 'pending';
+      sub.verification = {
+        codeHash: hashCode(sub._id, code),
+        attempts: 0,
+        expiresAt: new Date(Date.now() + VERIFY_TTL_MINUTES * 60 * 1000)
+      };
+    }
+    await sub.save();
+
+    if (code) {
+      try {
+        await sendSms(sub.target.phone, `Your Bus Tracker code is ${code}. Enter it to get bus alerts for ${stop.name}.`);
+      } catch (err) {
+        await StopSubscription.deleteOne({ _id: sub._id });
+        throw err;
+      }
+    }
+
+    res.status(201).json({ ...toJSON(sub), manageToken });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/subscriptions/:id - status of my subscription (manage token)
+router.get('/:id', validate({ params: idParams, query: manageQuery }), async (req, res, next) => {
+  try {
+    const sub = await findOwned(req);
+    res.json(toJSON(sub));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/subscriptions/:id/verify - confirm an SMS subscription (manage token)
+// Body: { code }  — the 6-digit code texted to target.phone; VERIFY_MAX_ATTEMPTS tries
+router.post('/:id/verify', validate({ params: idParams, query: manageQuery, body: verifySubscription }), async (req, res, next) => {
+  try {
+    const sub = await findOwned(req);
+    if (sub.status !== 'pending') throw conflict('Subscription is not awaiting confirmation');
+
+    // Claim the attempt before comparing, so parallel guesses can't get past the limit
+    const claimed = await StopSubscription.findOneAndUpdate(
+      {
+        _id: sub._id,
+        status: 'pending',
+        'verification.attempts': { $lt: VERIFY_MAX_ATTEMPTS },
+        'verification.expiresAt': { $gt: new Date() }
+      },
+      { $inc: { 'verification.attempts': 1 } },
+      { new: true }
+    );
+    if (!claimed) throw badRequest('Invalid or expired code');
+
+    const expected = Buffer.from(claimed.verification.codeHash, 'hex');
+    const given = Buffer.from(hashCode(claimed._id, req.body.code), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) throw badRequest('Invalid or expired code');
+
+    const active = await StopSubscription.findOneAndUpdate(
+      { _id: claimed._id, status: 'pending' },
+      { status: 'active', $unset: { verification: 1 } },
+      { new: true }
+    );
+    if (!active) throw conflict('Subscription is not awaiting confirmation');
+    res.json(toJSON(active));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/subscriptions/:id - cancel (manage token)
+router.delete('/:id', validate({ params: idParams, query: manageQuery }), async (req, res, next) => {
+  try {
+    const sub = await findOwned(req);
+    if (sub.status === 'active' || sub.status === 'pending') {
+      sub.status = 'cancelled';
+      await sub.save();
+    }
+    res.json({ message: 'Subscription cancelled.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
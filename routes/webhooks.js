@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const requirePermission = require('../middleware/requirePermission');
+const { PERMISSIONS } = require('../config/permissions');
+const { validate, partial } = require('../middleware/validate');
+const { idParams } = require('../validators/common');
+const { webhookFields, deliveryParams, deliveriesQuery } = require('../validators/webhooks');
+const { EVENT_TYPES } = require('../services/events');
+const { newSecret, sendTestEvent, redeliver } = require('../services/webhooks');
+const { recordAudit } = require('../services/audit');
+const { notFound } = require('../utils/httpError');
+
+const canManage = requirePermission(PERMISSIONS.WEBHOOKS_MANAGE);
+
+// GET /api/webhooks/events - event types a webhook can subscribe to (webhooks:manage)
+router.get('/events', canManage, (req, res) => {
+  res.json({ events: EVENT_TYPES });
+});
+
+// GET /api/webhooks - all webhooks (webhooks:manage)
+router.get('/', canManage, async (req, res, next) => {
+  try {
+    const webhooks = await WebhookSubscription.find().sort({ createdAt: -1 }).populate('createdBy', 'name');
+    res.json(webhooks);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/webhooks - register an endpoint (webhooks:manage)
+// Body: { name, url: 'https://...', events: ['bus.arrived', ...] | ['*'], isActive? }
+// The signing secret is only returned here and by rotate-secret.
+router.post('/', canManage, validate({ body: webhookFields }), async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.create({ ...req.body, secret: newSecret(), createdBy: req.user.id });
+    await recordAudit(req, { action: 'webhook.create', entity: 'WebhookSubscription', after: webhook });
+    res.status(201).json(webhook.toObject());
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/webhooks/:id (webhooks:manage)
+router.get('/:id', canManage, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id).populate('createdBy', 'name');
+    if (!webhook) throw notFound('Webhook not found');
+    res.json(webhook);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PUT /api/webhooks/:id (webhooks:manage)
+router.put('/:id', canManage, validate({ params: idParams, body: partial(webhookFields) }), async (req, res, next) => {
+  try {
+    const before = await WebhookSubscription.findById(req.params.id).lean();
+    if (!before) throw notFound('Webhook not found');
+
+    const webhook = await WebhookSubscription.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    await recordAudit(req, { action: 'webhook.update', entity: 'WebhookSubscription', before, after: webhook });
+    res.json(webhook);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/webhooks/:id - also drops its delivery log (webhooks:manage)
+router.delete('/:id', canManage, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!webhook) throw notFound('Webhook not found');
+
+    const deliveries = await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await recordAudit(req, {
+      action: 'webhook.delete', entity: 'WebhookSubscription', before: webhook,
+      meta: { deliveriesDeleted: deliveries.deletedCount }
+    });
+
+    res.json({ message: `Webhook "${webhook.name}" deleted.` });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/webhooks/:id/rotate-secret - new signing secret; the old one stops working at once (webhooks:manage)
+router.post('/:id/rotate-secret', canManage, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const secret = newSecret();
+    const webhook = await WebhookSubscription.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) throw notFound('Webhook not found');
+
+    await recordAudit(req, { action: 'webhook.rotate_secret', entity: 'WebhookSubscription', entityId: webhook._id });
+    res.json({ message: 'Secret rotated.', secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/webhooks/:id/ping - send a test event now and return the delivery (webhooks:manage)
+router.post('/:id/ping', canManage, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id);
+    if (!webhook) throw notFound('Webhook not found');
+
+    const delivery = await sendTestEvent(webhook);
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - delivery log, newest first (webhooks:manage)
+// Optional query: ?status=failed&eventType=bus.arrived&limit=50&page=1
+router.get('/:id/deliveries', canManage, validate({ params: idParams, query: deliveriesQuery }), async (req, res, next) => {
+  try {
+    const filter = { webhook: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.eventType) filter.eventType = req.query.eventType;
+
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({ total, page, limit, deliveries });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/redeliver - send again, e.g. after fixing the endpoint (webhooks:manage)
+router.post('/deliveries/:deliveryId/redeliver', canManage, validate({ params: deliveryParams }), async (req, res, next) => {
+  try {
+    if (!await WebhookDelivery.exists({ _id: req.params.deliveryId })) throw notFound('Delivery not found');
+    const delivery = await redeliver(req.params.deliveryId);
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const Route = require('../models/Route');
+const StopEvent = require('../models/StopEvent');
+const Trip = require('../models/Trip');
+const { haversineDistance } = require('../utils/geo');
+const { recordSegmentTravel } = require('./segmentStats');
+const { serviceTimeToDate } = require('../utils/serviceTime');
+
+// Geofence radii in metres. A bus "arrives" inside ARRIVAL_RADIUS and only
+// "departs" once it is beyond DEPARTURE_RADIUS — the gap absorbs GPS jitter
+// so a bus idling at a stop doesn't flap between arrived/departed.
+const ARRIVAL_RADIUS_M   = Number(process.env.STOP_ARRIVAL_RADIUS_M) || 50;
+const DEPARTURE_RADIUS_M = Number(process.env.STOP_DEPARTURE_RADIUS_M) || 100;
+
+// How many stops past nextStopIndex we look for an arrival. Stops jumped over
+// this way are recorded as skipped.
+const SKIP_LOOKAHEAD = Number(process.env.STOP_SKIP_LOOKAHEAD) || 3;
+
+const metresBetween = (a, b) =>
+  haversineDistance(a[1], a[0], b[1], b[0]) * 1000;
+
+// Has the bus already driven past stops[pos] towards stops[pos + 1]?
+// True when it is closer to both ends of the segment than they are to each other.
+function hasPassed(stops, pos, busCoords) {
+  const here = stops[pos].stop.location.coordinates;
+  const next = stops[pos + 1].stop.location.coordinates;
+  const segment = metresBetween(here, next);
+  return metresBetween(busCoords, next) < segment && metresBetween(busCoords, here) < segment;
+}
+
+// Geofence the bus's current location against its route's ordered stops.
+// Mutates bus.nextStopIndex / atStopIndex / arrivedAt / lastDeparture (caller
+// saves the bus), persists the resulting StopEvents, which are returned, and
+// feeds consecutive departure → arrival runs into the segment statistics.
+async function detectStopEvents(bus, { timestamp = new Date(), route = null } = {}) {
+  route = route || await Route.findById(bus.route).populate('stops.stop', 'name stopCode location');
+  if (!route) return [];
+
+  const stops = route.stops
+    .filter(s => s.stop && s.stop.location)
+    .sort((a, b) => a.order - b.order);
+  if (!stops.length) return [];
+
+  const busCoords = bus.currentLocation.coordinates;
+  const events = [];
+  const record = (pos, type) => {
+    const s = stops[pos];
+    events.push({
+      bus: bus._id,
+      route: route._id,
+      stop: s.stop._id,
+      stopIndex: s.order,
+      type,
+      location: { type: 'Point', coordinates: busCoords },
+      distanceFromStop: Math.round(metresBetween(busCoords, s.stop.location.coordinates)),
+      timestamp,
+    });
+  };
+
+  // 1. Currently dwelling at a stop — stay until we leave the outer radius
+  if (bus.atStopIndex !== null && bus.atStopIndex !== undefined) {
+    const pos = stops.findIndex(s => s.order === bus.atStopIndex);
+    if (pos !== -1 && metresBetween(busCoords, stops[pos].stop.location.coordinates) <= DEPARTURE_RADIUS_M) {
+      return [];
+    }
+    if (pos !== -1) {
+      record(pos, 'departure');
+      bus.lastDeparture = { stopIndex: stops[pos].order, at: timestamp };
+      // Leaving the terminus completes the trip — start over from the first stop
+      bus.nextStopIndex = pos + 1 < stops.length ? stops[pos + 1].order : stops[0].order;
+    }
+    bus.atStopIndex = null;
+    bus.arrivedAt = undefined;
+  }
+
+  // 2. Look for an arrival at the next stop, or a few stops ahead
+  let nextPos = stops.findIndex(s => s.order >= bus.nextStopIndex);
+  if (nextPos === -1) nextPos = 0;
+  const lastPos = Math.min(stops.length - 1, nextPos + SKIP_LOOKAHEAD);
+
+  let arrivedPos = -1;
+  for (let pos = nextPos; pos <= lastPos; pos++) {
+    if (metresBetween(busCoords, stops[pos].stop.location.coordinates) <= ARRIVAL_RADIUS_M) {
+      arrivedPos = pos;
+      break;
+    }
+  }
+
+  if (arrivedPos !== -1) {
+    for (let pos = nextPos; pos < arrivedPos; pos++) record(pos, 'skipped');
+    record(arrivedPos, 'arrival');
+    bus.nextStopIndex = stops[arrivedPos].order;
+    bus.atStopIndex = stops[arrivedPos].order;
+    bus.arrivedAt = timestamp;
+
+    const departed = bus.lastDeparture;
+    if (arrivedPos > 0 && departed?.at && departed.stopIndex === stops[arrivedPos - 1].order) {
+      await recordSegmentTravel({
+        route: route._id,
+        fromStop: stops[arrivedPos - 1].stop._id,
+        toStop: stops[arrivedPos].stop._id,
+        fromIndex: departed.stopIndex,
+        toIndex: stops[arrivedPos].order,
+        departedAt: departed.at,
+        arrivedAt: timestamp,
+      });
+    }
+  } else {
+    // 3. Drove through stops between fixes without ever landing inside the geofence
+    let pos = nextPos;
+    while (pos < lastPos && hasPassed(stops, pos, busCoords)) {
+      record(pos, 'skipped');
+      pos++;
+    }
+    if (pos !== nextPos) bus.nextStopIndex = stops[pos].order;
+  }
+
+  if (events.length) {
+    await attachScheduleAdherence(bus, events);
+    await StopEvent.insertMany(events);
+  }
+  return events;
+}
+
+// Stamp arrival/departure events with the trip's scheduled time and the delay
+async function attachScheduleAdherence(bus, events) {
+  if (!bus.currentTrip || !bus.tripServiceDate) return;
+  const trip = bus.currentTrip.stopTimes ? bus.currentTrip : await Trip.findById(bus.currentTrip);
+  if (!trip) return;
+
+  for (const event of events) {
+    if (event.type === 'skipped') continue;
+    const stopTime = trip.stopTimes.find(st => st.stopIndex === event.stopIndex);
+    if (!stopTime) continue;
+    const scheduledAt = serviceTimeToDate(
+      bus.tripServiceDate,
+      event.type === 'arrival' ? stopTime.arrival : stopTime.departure
+    );
+    event.trip = trip._id;
+    event.scheduledAt = scheduledAt;
+    event.delaySeconds = Math.round((event.timestamp.getTime() - scheduledAt.getTime()) / 1000);
+  }
+}
+
+module.exports = { detectStopEvents, ARRIVAL_RADIUS_M, DEPARTURE_RADIUS_M };
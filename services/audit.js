@@ -0,0 +1,53 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const REDACTED_FIELDS = new Set(['password', 'tokenVersion', 'secret']);
+// Bookkeeping or bulky fields that aren't worth a diff line
+const IGNORED_FIELDS = new Set(['_id', '__v', 'createdAt', 'updatedAt']);
+
+const toPlain = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level field changes between two snapshots: [{ field, before, after }]
+function diff(before, after) {
+  const a = toPlain(before) || {};
+  const b = toPlain(after) || {};
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    if (JSON.stringify(a[field]) === JSON.stringify(b[field])) continue;
+    changes.push(REDACTED_FIELDS.has(field)
+      ? { field, before: '[redacted]', after: '[redacted]' }
+      : { field, before: a[field] ?? null, after: b[field] ?? null });
+  }
+  return changes;
+}
+
+// Append an audit entry for a change made by the request's user.
+// `before`/`after` are documents or plain objects (null for create/delete).
+// `actor` overrides req.user for unauthenticated flows (first-admin setup, password reset).
+// A failed write is logged and swallowed — the change itself has already happened.
+async function recordAudit(req, { action, entity, entityId, before = null, after = null, meta, actor }) {
+  try {
+    await AuditLog.create({
+      actor: actor?._id || req.user?.id || null,
+      actorRole: actor?.role || req.user?.role,
+      action,
+      entity,
+      entityId: entityId || after?._id || before?._id,
+      changes: diff(before, after),
+      meta,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (err) {
+    console.error(`Audit log write failed for ${action}:`, err.message);
+  }
+}
+
+module.exports = { recordAudit, diff };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-process fleet event bus. Routes and workers announce state changes here;
+// consumers (outbound webhooks, services/webhooks.js) listen without the
+// emitting code knowing about them.
+// Bus status events follow the state machine in services/vehicleStatus.js:
+//   bus.status_changed — every status transition, with { from, to, reason }
+//   bus.online         — a fix brought an offline or stale bus into service
+//   bus.stale          — no fix for BUS_STALE_SECONDS
+//   bus.offline        — no fix for BUS_OFFLINE_SECONDS, end of shift, or set by hand
+//   bus.arrived        — arrival detected at a stop on the route
+//   bus.off_route / bus.back_on_route — off-route alert opened / cleared (services/fleetAlerts.js)
+//   shift.started / shift.ended — driver clocked in / out (see models/Shift.js)
+//   driver.assigned / driver.unassigned
+const EVENT_TYPES = [
+  'bus.online',
+  'bus.stale',
+  'bus.offline',
+  'bus.status_changed',
+  'bus.arrived',
+  'bus.off_route',
+  'bus.back_on_route',
+  'shift.started',
+  'shift.ended',
+  'driver.assigned',
+  'driver.unassigned',
+];
+
+const emitter = new EventEmitter();
+
+// The bus fields every bus.* / shift.* event carries
+const busSummary = (bus) => ({
+  busId: bus._id,
+  busNumber: bus.busNumber,
+  busName: bus.busName,
+  routeId: bus.route?._id || bus.route || null,
+  driverId: bus.driver?._id || bus.driver || null,
+  tripId: bus.currentTrip?._id || bus.currentTrip || null,
+  lat: bus.currentLocation?.coordinates[1],
+  lng: bus.currentLocation?.coordinates[0],
+  status: bus.status,
+  lastUpdated: bus.lastUpdated,
+});
+
+// Listeners run on the next tick with { id, type, occurredAt, data },
+// so a slow or failing consumer never holds up the request that emitted.
+function emitFleetEvent(type, data) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown fleet event "${type}"`);
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(data)),
+  };
+  setImmediate(() => emitter.emit('event', event));
+  return event;
+}
+
+// Returns an unsubscribe function
+function onFleetEvent(listener) {
+  const wrapped = (event) => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch(err => console.error(`Fleet event listener failed (${event.type}):`, err.message));
+  };
+  emitter.on('event', wrapped);
+  return () => emitter.off('event', wrapped);
+}
+
+module.exports = { EVENT_TYPES, busSummary, emitFleetEvent, onFleetEvent };
@@ -0,0 +1,69 @@
+const FleetAlert = require('../models/FleetAlert');
+const { busSummary, emitFleetEvent } = require('./events');
+
+// A bus must stay outside its corridor this long before dispatch is alerted,
+// so a single bad fix or a short diversion doesn't page anyone
+const OFF_ROUTE_ALERT_MINUTES = Number(process.env.OFF_ROUTE_ALERT_MINUTES) || 3;
+
+const unresolved = (bus, type) => ({ bus: bus._id, type, status: { $ne: 'resolved' } });
+
+// Track the bus's off-route run from one fix's corridor check. Mutates
+// bus.offRouteSince (caller saves the bus). Opens an off_route FleetAlert once
+// the run lasts OFF_ROUTE_ALERT_MINUTES and resolves it when the bus is back.
+// Returns the alert that was opened, updated or cleared, or null.
+async function trackOffRoute(bus, { offRoute, distanceM, at = new Date() }) {
+  if (!offRoute) {
+    if (!bus.offRouteSince) return null;
+    bus.offRouteSince = null;
+    const cleared = await FleetAlert.findOneAndUpdate(
+      unresolved(bus, 'off_route'),
+      { status: 'resolved', resolvedAt: at, resolution: 'cleared' },
+      { new: true }
+    );
+    if (cleared) emitFleetEvent('bus.back_on_route', { ...busSummary(bus), alertId: cleared._id });
+    return cleared;
+  }
+
+  if (!bus.offRouteSince) bus.offRouteSince = at;
+  if (at - bus.offRouteSince < OFF_ROUTE_ALERT_MINUTES * 60 * 1000) return null;
+
+  const [lng, lat] = bus.currentLocation.coordinates;
+  const existing = await FleetAlert.findOne(unresolved(bus, 'off_route'));
+  if (existing) {
+    existing.lastSeenAt = at;
+    existing.details = {
+      ...existing.details,
+      distanceM,
+      maxDistanceM: Math.max(existing.details?.maxDistanceM || 0, distanceM),
+      lat,
+      lng
+    };
+    return existing.save();
+  }
+
+  const alert = await FleetAlert.create({
+    type: 'off_route',
+    bus: bus._id,
+    route: bus.route,
+    driver: bus.driver,
+    busNumber: bus.busNumber,
+    message: `Bus ${bus.busNumber} has been off its route for ${OFF_ROUTE_ALERT_MINUTES}+ minutes`,
+    details: { distanceM, maxDistanceM: distanceM, lat, lng, offRouteSince: bus.offRouteSince },
+    openedAt: at,
+    lastSeenAt: at
+  });
+  emitFleetEvent('bus.off_route', { ...busSummary(bus), alertId: alert._id, distanceM, offRouteSince: bus.offRouteSince });
+  return alert;
+}
+
+// Close whatever is still open for a bus, e.g. when its shift ends
+async function resolveBusAlerts(bus, { resolution, by, at = new Date() }) {
+  bus.offRouteSince = null;
+  const result = await FleetAlert.updateMany(
+    { bus: bus._id, status: { $ne: 'resolved' } },
+    { status: 'resolved', resolvedAt: at, resolvedBy: by, resolution }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = { OFF_ROUTE_ALERT_MINUTES, trackOffRoute, resolveBusAlerts };
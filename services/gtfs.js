@@ -0,0 +1,323 @@
+const AdmZip = require('adm-zip');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { haversineDistance } = require('../utils/geo');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Trip = require('../models/Trip');
+const { orderedStops } = require('../utils/eta');
+const { generateStopTimes } = require('./schedule');
+const { invalidateFootpaths } = require('./journeyPlanner');
+const { formatServiceTime } = require('../utils/serviceTime');
+const { badRequest, unprocessable } = require('../utils/httpError');
+
+// GTFS static import / export
+//
+// Our ids map onto GTFS ids as:
+//   Stop.stopCode     ↔ stops.txt stop_id (stop_code on import when present)
+//   Route.routeNumber ↔ routes.txt route_id (route_short_name on import when present)
+const AGENCY_ID = 'BUSTRACK';
+const ROUTE_TYPE_BUS = 3;
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+function readFeed(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw badRequest('Uploaded file is not a valid zip archive');
+  }
+
+  // Feeds are sometimes zipped with a top-level folder — match on the file name only
+  const files = {};
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) continue;
+    const name = entry.entryName.split('/').pop();
+    files[name] = entry;
+  }
+
+  const missing = REQUIRED_FILES.filter(f => !files[f]);
+  if (missing.length) {
+    throw unprocessable(`GTFS feed is missing ${missing.join(', ')}`);
+  }
+
+  const table = (name) => parseCsv(files[name].getData().toString('utf8'));
+  return {
+    stops: table('stops.txt'),
+    routes: table('routes.txt'),
+    trips: table('trips.txt'),
+    stopTimes: table('stop_times.txt'),
+  };
+}
+
+// A Route holds one ordered stop list, so pick one representative trip per route:
+// outbound (direction_id 0 or unset) first, then the one serving the most stops.
+function pickRepresentativeTrips(trips, stopTimesByTrip) {
+  const byRoute = new Map();
+  for (const trip of trips) {
+    const times = stopTimesByTrip.get(trip.trip_id);
+    if (!times) continue;
+    const score = [trip.direction_id === '1' ? 0 : 1, times.length];
+    const best = byRoute.get(trip.route_id);
+    if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) {
+      byRoute.set(trip.route_id, { trip, times, score });
+    }
+  }
+  return byRoute;
+}
+
+// Upsert Stops and Routes from a GTFS zip. Returns a summary of what changed.
+async function importGtfs(buffer) {
+  const feed = readFeed(buffer);
+  const warnings = [];
+  const summary = {
+    stops: { created: 0, updated: 0 },
+    routes: { created: 0, updated: 0 },
+    skippedRoutes: [],
+    warnings,
+  };
+
+  // --- stops.txt → Stop (platforms/stops only; stations and entrances are skipped)
+  const gtfsStops = feed.stops.filter(s => !s.location_type || s.location_type === '0');
+  const stopOps = [];
+  const stopCodeById = new Map();
+  for (const s of gtfsStops) {
+    const lat = parseFloat(s.stop_lat);
+    const lng = parseFloat(s.stop_lon);
+    if (isNaN(lat) || isNaN(lng)) {
+      warnings.push(`Stop ${s.stop_id} has no coordinates — skipped`);
+      continue;
+    }
+    const stopCode = s.stop_code || s.stop_id;
+    stopCodeById.set(s.stop_id, stopCode);
+    stopOps.push({
+      updateOne: {
+        filter: { stopCode },
+        update: {
+          $set: {
+            name: s.stop_name || stopCode,
+            location: { type: 'Point', coordinates: [lng, lat] },
+            ...(s.stop_desc ? { address: s.stop_desc } : {}),
+          },
+          $setOnInsert: { stopCode, isActive: true },
+        },
+        upsert: true,
+      }
+    });
+  }
+  if (stopOps.length) {
+    const result = await Stop.bulkWrite(stopOps, { ordered: false });
+    summary.stops.created = result.upsertedCount;
+    summary.stops.updated = result.matchedCount;
+  }
+
+  const stopDocs = await Stop.find({ stopCode: { $in: [...stopCodeById.values()] } }, 'stopCode location');
+  const stopByCode = new Map(stopDocs.map(s => [s.stopCode, s]));
+
+  // --- trips.txt + stop_times.txt → ordered stop list per route
+  const stopTimesByTrip = new Map();
+  for (const st of feed.stopTimes) {
+    if (!stopTimesByTrip.has(st.trip_id)) stopTimesByTrip.set(st.trip_id, []);
+    stopTimesByTrip.get(st.trip_id).push(st);
+  }
+  for (const times of stopTimesByTrip.values()) {
+    times.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+  }
+  const tripsByRoute = pickRepresentativeTrips(feed.trips, stopTimesByTrip);
+
+  // --- routes.txt → Route
+  for (const r of feed.routes) {
+    const routeNumber = r.route_short_name || r.route_id;
+    const picked = tripsByRoute.get(r.route_id);
+    if (!picked) {
+      summary.skippedRoutes.push({ routeNumber, reason: 'No trips with stop times' });
+      continue;
+    }
+
+    const stops = [];
+    let prev = null;
+    for (const st of picked.times) {
+      const stop = stopByCode.get(stopCodeById.get(st.stop_id));
+      if (!stop) {
+        warnings.push(`Route ${routeNumber}: unknown stop ${st.stop_id} in trip ${picked.trip.trip_id}`);
+        continue;
+      }
+      const [lng, lat] = stop.location.coordinates;
+      stops.push({
+        stop: stop._id,
+        order: stops.length,
+        distanceFromPrev: prev ? round2(haversineDistance(prev[1], prev[0], lat, lng)) : 0,
+      });
+      prev = [lng, lat];
+    }
+    if (stops.length < 2) {
+      summary.skippedRoutes.push({ routeNumber, reason: 'Fewer than two known stops' });
+      continue;
+    }
+
+    const existing = await Route.findOne({ routeNumber });
+    const route = existing || new Route({ routeNumber });
+    route.name = r.route_long_name || r.route_short_name || routeNumber;
+    if (r.route_desc) route.description = r.route_desc;
+    route.stops = stops;
+    route.isActive = true;
+    await route.save();
+    summary.routes[existing ? 'updated' : 'created']++;
+
+    // Keep Stop.routes in step with the new stop list
+    const stopIds = stops.map(s => s.stop);
+    await Stop.updateMany({ _id: { $in: stopIds } }, { $addToSet: { routes: route._id } });
+    await Stop.updateMany({ routes: route._id, _id: { $nin: stopIds } }, { $pull: { routes: route._id } });
+  }
+
+  invalidateFootpaths();
+  return summary;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const gtfsDate = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+
+// Nominal first departure used for the synthetic trip of routes without a timetable
+const NOMINAL_START_SECONDS = 6 * 60 * 60;
+
+// Build a GTFS zip (Buffer) of the current network.
+// Timetabled routes export their Trips and ServiceCalendars. Routes without a
+// timetable get one synthetic daily trip whose times are estimated from segment
+// distances at the fallback speed (timepoint = 0).
+async function exportGtfs() {
+  const [routes, stops, trips, calendars] = await Promise.all([
+    Route.find({ isActive: true }).populate('stops.stop'),
+    Stop.find({ isActive: true }),
+    Trip.find({ isActive: true }).populate('service', 'serviceId'),
+    ServiceCalendar.find(),
+  ]);
+
+  const agency = [{
+    agency_id: AGENCY_ID,
+    agency_name: process.env.GTFS_AGENCY_NAME || 'Bus Tracker',
+    agency_url: process.env.GTFS_AGENCY_URL || 'https://salemoneview.netlify.app',
+    agency_timezone: process.env.GTFS_TIMEZONE || 'Asia/Kolkata',
+  }];
+
+  const stopRows = stops.map(s => ({
+    stop_id: s.stopCode,
+    stop_code: s.stopCode,
+    stop_name: s.name,
+    stop_desc: s.address || '',
+    stop_lat: s.location.coordinates[1],
+    stop_lon: s.location.coordinates[0],
+  }));
+  const stopCodeById = new Map(stops.map(s => [s._id.toString(), s.stopCode]));
+
+  const today = new Date();
+  const nextYear = new Date(today);
+  nextYear.setFullYear(today.getFullYear() + 1);
+  const calendarRows = calendars.map(c => ({
+    service_id: c.serviceId,
+    ...Object.fromEntries(ServiceCalendar.WEEKDAYS.map(day => [day, c.days[day] ? 1 : 0])),
+    start_date: gtfsDate(c.startDate || today),
+    end_date: gtfsDate(c.endDate || nextYear),
+  }));
+  const calendarDateRows = calendars.flatMap(c => c.exceptions.map(e => ({
+    service_id: c.serviceId,
+    date: e.date.replace(/-/g, ''),
+    exception_type: e.type === 'added' ? 1 : 2,
+  })));
+
+  const tripsByRoute = new Map();
+  for (const trip of trips) {
+    if (!trip.service) continue;
+    const key = trip.route.toString();
+    if (!tripsByRoute.has(key)) tripsByRoute.set(key, []);
+    tripsByRoute.get(key).push(trip);
+  }
+
+  const routeRows = [];
+  const tripRows = [];
+  const stopTimeRows = [];
+  let needsDailyService = false;
+
+  const addStopTimes = (tripId, stopTimes, timepoint) => {
+    for (const st of stopTimes) {
+      const stopId = stopCodeById.get(st.stop.toString());
+      if (!stopId) continue; // stop deactivated since the trip was timetabled
+      stopTimeRows.push({
+        trip_id: tripId,
+        arrival_time: formatServiceTime(st.arrival),
+        departure_time: formatServiceTime(st.departure),
+        stop_id: stopId,
+        stop_sequence: st.stopIndex + 1,
+        timepoint,
+      });
+    }
+  };
+
+  for (const route of routes) {
+    const ordered = orderedStops(route).filter(s => s.stop.isActive !== false);
+    if (ordered.length < 2) continue;
+
+    routeRows.push({
+      route_id: route.routeNumber,
+      agency_id: AGENCY_ID,
+      route_short_name: route.routeNumber,
+      route_long_name: route.name,
+      route_desc: route.description || '',
+      route_type: ROUTE_TYPE_BUS,
+    });
+
+    const timetable = tripsByRoute.get(route._id.toString());
+    if (timetable) {
+      for (const trip of timetable) {
+        tripRows.push({
+          route_id: route.routeNumber,
+          service_id: trip.service.serviceId,
+          trip_id: trip.tripCode,
+          trip_headsign: trip.headsign || ordered[ordered.length - 1].stop.name,
+          direction_id: 0,
+        });
+        addStopTimes(trip.tripCode, trip.stopTimes, 1);
+      }
+      continue;
+    }
+
+    needsDailyService = true;
+    const tripId = `${route.routeNumber}_1`;
+    tripRows.push({
+      route_id: route.routeNumber,
+      service_id: 'DAILY',
+      trip_id: tripId,
+      trip_headsign: ordered[ordered.length - 1].stop.name,
+      direction_id: 0,
+    });
+    addStopTimes(tripId, generateStopTimes({ stops: ordered }, NOMINAL_START_SECONDS), 0);
+  }
+
+  if (needsDailyService && !calendars.some(c => c.serviceId === 'DAILY')) {
+    calendarRows.push({
+      service_id: 'DAILY',
+      ...Object.fromEntries(ServiceCalendar.WEEKDAYS.map(day => [day, 1])),
+      start_date: gtfsDate(today),
+      end_date: gtfsDate(nextYear),
+    });
+  }
+
+  const zip = new AdmZip();
+  const add = (name, rows, columns) => zip.addFile(name, Buffer.from(toCsv(rows, columns), 'utf8'));
+  add('agency.txt', agency);
+  add('stops.txt', stopRows, ['stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon']);
+  add('routes.txt', routeRows, ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type']);
+  add('calendar.txt', calendarRows, ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date']);
+  if (calendarDateRows.length) add('calendar_dates.txt', calendarDateRows);
+  add('trips.txt', tripRows, ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id']);
+  add('stop_times.txt', stopTimeRows, ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'timepoint']);
+  return zip.toBuffer();
+}
+
+module.exports = { importGtfs, exportGtfs, AGENCY_ID, gtfsDate };
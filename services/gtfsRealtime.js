@@ -0,0 +1,182 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const Bus = require('../models/Bus');
+const ServiceAlert = require('../models/ServiceAlert');
+const { orderedStops, calculateRouteETA } = require('../utils/eta');
+const { getSegmentStats } = require('./segmentStats');
+const { gtfsDate, AGENCY_ID } = require('./gtfs');
+const { currentOccupancy, gtfsOccupancyStatus } = require('./occupancy');
+const { currentOrUpcomingFilter } = require('./serviceAlerts');
+const { liveFilter } = require('./vehicleStatus');
+
+// GTFS-Realtime feeds built from the live Bus documents.
+// Ids line up with the static export (services/gtfs.js):
+//   route_id = routeNumber, stop_id = stopCode, stop_sequence = stop order + 1,
+//   trip_id = the bus's current Trip.tripCode, or the synthetic `<routeNumber>_1`
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const toEpoch = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const feedHeader = () => ({
+  gtfsRealtimeVersion: '2.0',
+  incrementality: 'FULL_DATASET',
+  timestamp: toEpoch(Date.now()),
+});
+
+const tripDescriptor = (bus) => {
+  const route = bus.route;
+  if (bus.currentTrip?.tripCode) {
+    return {
+      tripId: bus.currentTrip.tripCode,
+      routeId: route.routeNumber,
+      directionId: 0,
+      ...(bus.tripServiceDate ? { startDate: gtfsDate(bus.tripServiceDate) } : {}),
+    };
+  }
+  return { tripId: `${route.routeNumber}_1`, routeId: route.routeNumber, directionId: 0 };
+};
+
+const vehicleDescriptor = (bus) => ({
+  id: bus._id.toString(),
+  label: bus.busName || bus.busNumber,
+  licensePlate: bus.busNumber,
+});
+
+const activeBuses = () =>
+  Bus.find(liveFilter())
+    .populate({ path: 'route', populate: { path: 'stops.stop' } })
+    .populate('currentTrip', 'tripCode');
+
+// VehiclePositions: coordinates, speed and heading from /driver/update-location
+async function buildVehiclePositions() {
+  const buses = await activeBuses();
+
+  const entity = buses.map(bus => {
+    const vehicle = {
+      vehicle: vehicleDescriptor(bus),
+      position: {
+        latitude: bus.currentLocation.coordinates[1],
+        longitude: bus.currentLocation.coordinates[0],
+        bearing: bus.heading,
+        speed: (bus.speed || 0) / 3.6, // km/h → m/s
+      },
+      timestamp: toEpoch(bus.lastUpdated),
+    };
+
+    const occupancy = currentOccupancy(bus);
+    if (occupancy) {
+      vehicle.occupancyStatus = gtfsOccupancyStatus(occupancy.level);
+      if (occupancy.loadFactor !== null) vehicle.occupancyPercentage = Math.round(occupancy.loadFactor * 100);
+    }
+
+    if (bus.route) {
+      vehicle.trip = tripDescriptor(bus);
+      const stops = orderedStops(bus.route);
+      const pos = stops.findIndex(s => s.order >= bus.nextStopIndex);
+      if (pos !== -1) {
+        vehicle.currentStopSequence = stops[pos].order + 1;
+        vehicle.stopId = stops[pos].stop.stopCode;
+        vehicle.currentStatus = bus.atStopIndex === stops[pos].order ? 'STOPPED_AT' : 'IN_TRANSIT_TO';
+      }
+    }
+
+    return { id: `vehicle-${bus._id}`, vehicle };
+  });
+
+  return { header: feedHeader(), entity };
+}
+
+// TripUpdates: predicted arrival at every remaining stop, same ETA model as /api/buses/stop/:stopId
+async function buildTripUpdates() {
+  const buses = await activeBuses();
+  const statsByRoute = new Map();
+  const now = Date.now();
+
+  const entity = [];
+  for (const bus of buses) {
+    const route = bus.route;
+    if (!route) continue;
+    const stops = orderedStops(route);
+    const nextPos = stops.findIndex(s => s.order >= bus.nextStopIndex);
+    if (nextPos === -1) continue;
+
+    const routeKey = route._id.toString();
+    if (!statsByRoute.has(routeKey)) statsByRoute.set(routeKey, await getSegmentStats(route._id));
+
+    const stopTimeUpdate = [];
+    for (let pos = nextPos; pos < stops.length; pos++) {
+      const eta = calculateRouteETA(bus, stops, pos, statsByRoute.get(routeKey));
+      if (!eta) continue;
+      stopTimeUpdate.push({
+        stopSequence: stops[pos].order + 1,
+        stopId: stops[pos].stop.stopCode,
+        arrival: {
+          time: toEpoch(now + eta.etaMinutes * 60 * 1000),
+          uncertainty: Math.round(((eta.etaRange.max - eta.etaRange.min) * 60) / 2),
+        },
+      });
+    }
+    if (!stopTimeUpdate.length) continue;
+
+    entity.push({
+      id: `trip-${bus._id}`,
+      tripUpdate: {
+        trip: tripDescriptor(bus),
+        vehicle: vehicleDescriptor(bus),
+        stopTimeUpdate,
+        timestamp: toEpoch(bus.lastUpdated),
+      },
+    });
+  }
+
+  return { header: feedHeader(), entity };
+}
+
+const translated = (text) => ({ translation: [{ text, language: 'en' }] });
+
+// Alerts: every switched-on alert that is active now or scheduled, so consumers can
+// show upcoming disruptions. Linked buses become their current trip; an alert
+// with nothing linked is published against the agency.
+async function buildAlerts() {
+  const alerts = await ServiceAlert.find(currentOrUpcomingFilter())
+    .populate('routes', 'routeNumber')
+    .populate('stops', 'stopCode')
+    .populate({ path: 'buses', populate: [{ path: 'route', select: 'routeNumber' }, { path: 'currentTrip', select: 'tripCode' }] });
+
+  const entity = alerts.map(a => {
+    const informedEntity = [
+      ...a.routes.map(r => ({ routeId: r.routeNumber })),
+      ...a.stops.map(s => ({ stopId: s.stopCode })),
+      ...a.buses.filter(b => b.route).map(b => ({ trip: tripDescriptor(b) })),
+    ];
+    if (!informedEntity.length) informedEntity.push({ agencyId: AGENCY_ID });
+
+    const alert = {
+      activePeriod: a.activePeriods.map(p => ({
+        ...(p.start ? { start: toEpoch(p.start) } : {}),
+        ...(p.end ? { end: toEpoch(p.end) } : {}),
+      })),
+      informedEntity,
+      cause: a.cause.toUpperCase(),
+      effect: a.effect.toUpperCase(),
+      severityLevel: a.severity.toUpperCase(),
+      headerText: translated(a.header),
+    };
+    if (a.description) alert.descriptionText = translated(a.description);
+    if (a.url) alert.url = translated(a.url);
+
+    return { id: `alert-${a._id}`, alert };
+  });
+
+  return { header: feedHeader(), entity };
+}
+
+// Encode a feed as protobuf bytes, or as the decoded JSON debug view
+function encodeFeed(feed, format) {
+  const message = FeedMessage.fromObject(feed);
+  if (format === 'json') {
+    return FeedMessage.toObject(message, { enums: String, longs: Number, defaults: false });
+  }
+  return Buffer.from(FeedMessage.encode(message).finish());
+}
+
+module.exports = { buildVehiclePositions, buildTripUpdates, buildAlerts, encodeFeed };
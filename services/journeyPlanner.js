@@ -0,0 +1,368 @@
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const Trip = require('../models/Trip');
+const { haversineDistance } = require('../utils/geo');
+const {
+  orderedStops,
+  segmentDistanceKm,
+  dwellSeconds,
+  calculateRouteETA,
+  FALLBACK_SPEED_KMH,
+  WALKING_SPEED_KMH
+} = require('../utils/eta');
+const { getSegmentStatsForRoutes } = require('./segmentStats');
+const { activeServiceIds } = require('./schedule');
+const { liveFilter } = require('./vehicleStatus');
+const { serviceDayStart, serviceTimeToDate } = require('../utils/serviceTime');
+
+// Journey planner
+//
+// Round-based search over the Route.stops graph (RAPTOR style): round k holds
+// the stops whose earliest arrival improved using k bus rides, so the best
+// itinerary for 0, 1 and 2 transfers falls out of rounds 1–3. Waiting time at
+// each boarding uses, in order of preference, a live bus ETA, the timetable, or
+// half the assumed headway.
+const MAX_TRANSFERS = 2;
+const DEFAULT_MAX_WALK_KM = 0.8;
+const TRANSFER_WALK_KM = 0.3;
+const NEARBY_STOP_LIMIT = 8;
+// Without live buses or a timetable we assume a bus every ASSUMED_HEADWAY_MINUTES
+const ASSUMED_HEADWAY_MINUTES = Number(process.env.ASSUMED_HEADWAY_MINUTES) || 15;
+// Footpaths are rebuilt at least this often, for writes made by another instance
+const FOOTPATH_CACHE_MINUTES = Number(process.env.FOOTPATH_CACHE_MINUTES) || 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const walkSeconds = (km) => (km / WALKING_SPEED_KMH) * 3600;
+const toMinutes = (seconds) => Math.round(seconds / 60);
+const coordsOf = (stop) => stop.location.coordinates;
+const kmBetween = (a, b) => haversineDistance(a[1], a[0], b[1], b[0]);
+
+const nearbyStops = (lat, lng, maxKm) =>
+  Stop.find({
+    isActive: true,
+    location: {
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] },
+        $maxDistance: maxKm * 1000
+      }
+    }
+  }, 'name stopCode location').limit(NEARBY_STOP_LIMIT);
+
+// Per-route data the search needs: ordered stops, cumulative ride time from the
+// first stop, and the known departure times (live ETAs / timetable) at each stop.
+async function loadNetwork(now) {
+  const routes = await Route.find({ isActive: true }).populate('stops.stop', 'name stopCode location isActive');
+  // Today's service plus yesterday's trips that run past midnight
+  const today = serviceDayStart(now);
+  const yesterday = serviceDayStart(new Date(today.getTime() - DAY_MS / 2));
+  const serviceDays = [yesterday, today];
+  const servicesByDay = await Promise.all(serviceDays.map(day => activeServiceIds(day)));
+
+  const routeIds = routes.map(r => r._id);
+
+  const [buses, trips, statsByRoute] = await Promise.all([
+    Bus.find({ ...liveFilter(), route: { $in: routeIds } }),
+    Trip.find({ isActive: true, service: { $in: servicesByDay.flat() }, route: { $in: routeIds } }),
+    getSegmentStatsForRoutes(routeIds, now)
+  ]);
+
+  const network = [];
+  for (const route of routes) {
+    const stops = orderedStops(route).filter(s => s.stop.isActive !== false);
+    if (stops.length < 2) continue;
+
+    // Ride time: learned segment times for this hour where we have them
+    const stats = statsByRoute.get(route._id.toString());
+    const cumulative = [0];
+    for (let pos = 1; pos < stops.length; pos++) {
+      const learned = stats.get(stops[pos].order);
+      const run = learned ? learned.mean : (segmentDistanceKm(stops, pos) / FALLBACK_SPEED_KMH) * 3600;
+      const dwell = pos > 1 ? dwellSeconds(stops[pos - 1]) : 0;
+      cumulative.push(cumulative[pos - 1] + run + dwell);
+    }
+
+    // departures[pos] = [{ at: epoch ms, source, busId? }]
+    const departures = stops.map(() => []);
+    for (const bus of buses.filter(b => b.route.toString() === route._id.toString())) {
+      for (let pos = 0; pos < stops.length; pos++) {
+        const eta = calculateRouteETA(bus, stops, pos, stats);
+        if (eta) departures[pos].push({ at: now.getTime() + eta.etaMinutes * 60000, source: 'live', busId: bus._id });
+      }
+    }
+    for (const trip of trips.filter(t => t.route.toString() === route._id.toString())) {
+      serviceDays.forEach((day, i) => {
+        if (!servicesByDay[i].some(id => id.equals(trip.service))) return;
+        // Skip runs a live bus is already operating — its ETA is better
+        const operated = buses.some(b => b.currentTrip?.toString() === trip._id.toString() &&
+          (!b.tripServiceDate || b.tripServiceDate.getTime() === day.getTime()));
+        if (operated) return;
+        for (const st of trip.stopTimes) {
+          const pos = stops.findIndex(s => s.order === st.stopIndex);
+          if (pos !== -1) departures[pos].push({ at: serviceTimeToDate(day, st.departure).getTime(), source: 'scheduled', tripId: trip.tripCode });
+        }
+      });
+    }
+    departures.forEach(list => list.sort((a, b) => a.at - b.at));
+
+    network.push({
+      route,
+      stops,
+      cumulative,
+      departures,
+      hasTimetable: departures.some(list => list.some(d => d.source === 'scheduled')),
+      posByStop: new Map(stops.map((s, pos) => [s.stop._id.toString(), pos]))
+    });
+  }
+  return network;
+}
+
+// Earliest boarding of a route at stops[pos] for a passenger there at time t (ms)
+function nextDeparture(line, pos, t) {
+  const known = line.departures[pos].find(d => d.at >= t);
+  if (known) return known;
+  // A timetabled route with nothing left today can't be boarded
+  if (line.hasTimetable) return null;
+  return { at: t + (ASSUMED_HEADWAY_MINUTES / 2) * 60000, source: 'estimated' };
+}
+
+// Walking transfers between distinct stops served by the network
+function buildFootpaths(network) {
+  const stops = new Map();
+  for (const line of network) for (const s of line.stops) stops.set(s.stop._id.toString(), s.stop);
+  const list = [...stops.values()];
+
+  const footpaths = new Map(list.map(s => [s._id.toString(), []]));
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const km = kmBetween(coordsOf(list[i]), coordsOf(list[j]));
+      if (km > TRANSFER_WALK_KM) continue;
+      footpaths.get(list[i]._id.toString()).push({ to: list[j]._id.toString(), km });
+      footpaths.get(list[j]._id.toString()).push({ to: list[i]._id.toString(), km });
+    }
+  }
+  return { stops, footpaths };
+}
+
+// buildFootpaths is O(stops²) and only changes when stops or route stop lists do,
+// so it is kept between searches. Stop, route and GTFS writes call invalidateFootpaths.
+let footpathCache = null;
+
+function cachedFootpaths(network) {
+  if (!footpathCache || Date.now() > footpathCache.expiresAt) {
+    footpathCache = { ...buildFootpaths(network), expiresAt: Date.now() + FOOTPATH_CACHE_MINUTES * 60 * 1000 };
+  }
+  return footpathCache;
+}
+
+function invalidateFootpaths() {
+  footpathCache = null;
+}
+
+// Walk the parent pointers back from a destination stop into legs
+function reconstruct(labels, round, stopId, stopsById, origin) {
+  const legs = [];
+  let k = round;
+  let id = stopId;
+  while (true) {
+    const label = labels[k].get(id);
+    if (label.type === 'access') {
+      legs.unshift({
+        mode: 'walk',
+        from: { lat: origin.lat, lng: origin.lng },
+        to: stopSummary(stopsById.get(id)),
+        distanceKm: Math.round(label.km * 100) / 100,
+        minutes: toMinutes(walkSeconds(label.km))
+      });
+      break;
+    }
+    if (label.type === 'transfer') {
+      legs.unshift({
+        mode: 'walk',
+        from: stopSummary(stopsById.get(label.from)),
+        to: stopSummary(stopsById.get(id)),
+        distanceKm: Math.round(label.km * 100) / 100,
+        minutes: toMinutes(walkSeconds(label.km))
+      });
+      id = label.from;
+      continue;
+    }
+    // Bus ride, boarded at a stop reached in an earlier round
+    legs.unshift({
+      mode: 'bus',
+      route: { _id: label.line.route._id, routeNumber: label.line.route.routeNumber, name: label.line.route.name },
+      from: stopSummary(label.line.stops[label.boardPos].stop),
+      to: stopSummary(label.line.stops[label.alightPos].stop),
+      stops: label.alightPos - label.boardPos,
+      departure: new Date(label.departure.at),
+      arrival: new Date(label.time),
+      waitMinutes: toMinutes((label.departure.at - label.readyAt) / 1000),
+      waitSource: label.departure.source,   // 'live' | 'scheduled' | 'estimated'
+      ...(label.departure.busId ? { busId: label.departure.busId } : {}),
+      ...(label.departure.tripId ? { tripId: label.departure.tripId } : {}),
+      inVehicleMinutes: toMinutes((label.time - label.departure.at) / 1000)
+    });
+    id = label.line.stops[label.boardPos].stop._id.toString();
+    k = label.boardRound;
+  }
+  return legs;
+}
+
+const stopSummary = (stop) => ({
+  _id: stop._id,
+  name: stop.name,
+  stopCode: stop.stopCode,
+  lat: stop.location.coordinates[1],
+  lng: stop.location.coordinates[0]
+});
+
+// Plan itineraries from origin to destination, best first.
+// Returns { itineraries, walkOnly } — walkOnly is the door-to-door walk for comparison.
+async function planJourney(origin, destination, { maxWalkKm = DEFAULT_MAX_WALK_KM, maxTransfers = MAX_TRANSFERS, now = new Date() } = {}) {
+  maxTransfers = Math.min(Math.max(0, maxTransfers), MAX_TRANSFERS);
+  const directKm = haversineDistance(origin.lat, origin.lng, destination.lat, destination.lng);
+  const walkOnly = { distanceKm: Math.round(directKm * 100) / 100, minutes: toMinutes(walkSeconds(directKm)) };
+
+  const [originStops, destinationStops] = await Promise.all([
+    nearbyStops(origin.lat, origin.lng, maxWalkKm),
+    nearbyStops(destination.lat, destination.lng, maxWalkKm)
+  ]);
+  if (!originStops.length || !destinationStops.length) return { itineraries: [], walkOnly };
+
+  const network = await loadNetwork(now);
+  const { stops: stopsById, footpaths } = cachedFootpaths(network);
+  const t0 = now.getTime();
+
+  // labels[k]: stopId → { time, type, ... } — earliest arrival using k rides
+  const labels = [new Map()];
+  const best = new Map();
+  for (const stop of originStops) {
+    const id = stop._id.toString();
+    if (!stopsById.has(id)) continue;
+    const km = kmBetween([origin.lng, origin.lat], coordsOf(stop));
+    const time = t0 + walkSeconds(km) * 1000;
+    labels[0].set(id, { time, type: 'access', km });
+    best.set(id, time);
+  }
+
+  // Earliest arrival at a stop using fewer than k rides, and the round it came from
+  const readyAt = (id, k) => {
+    for (let j = k - 1; j >= 0; j--) {
+      const label = labels[j].get(id);
+      if (label) return { time: label.time, round: j };
+    }
+    return null;
+  };
+
+  let marked = new Set(labels[0].keys());
+  for (let k = 1; k <= maxTransfers + 1 && marked.size; k++) {
+    const current = new Map();
+    labels.push(current);
+    const improved = new Set();
+
+    for (const line of network) {
+      // Earliest marked stop on this line — start scanning from there
+      let start = Infinity;
+      for (const id of marked) {
+        const pos = line.posByStop.get(id);
+        if (pos !== undefined && pos < start) start = pos;
+      }
+      if (start === Infinity) continue;
+
+      let boarded = null; // { pos, departure, readyAt }
+      for (let pos = start; pos < line.stops.length; pos++) {
+        const id = line.stops[pos].stop._id.toString();
+
+        // Ride on to this stop
+        if (boarded) {
+          const arrival = boarded.departure.at + (line.cumulative[pos] - line.cumulative[boarded.pos]) * 1000;
+          if (arrival < (best.get(id) ?? Infinity)) {
+            current.set(id, {
+              time: arrival,
+              type: 'ride',
+              line,
+              boardPos: boarded.pos,
+              alightPos: pos,
+              departure: boarded.departure,
+              readyAt: boarded.readyAt,
+              boardRound: boarded.boardRound
+            });
+            best.set(id, arrival);
+            improved.add(id);
+          }
+        }
+
+        // (Re)board here if that catches an earlier bus
+        const ready = readyAt(id, k);
+        if (!ready || pos === line.stops.length - 1) continue;
+        const departure = nextDeparture(line, pos, ready.time);
+        if (!departure) continue;
+        const ridingArrival = boarded
+          ? boarded.departure.at + (line.cumulative[pos] - line.cumulative[boarded.pos]) * 1000
+          : Infinity;
+        if (departure.at < ridingArrival) {
+          boarded = { pos, departure, readyAt: ready.time, boardRound: ready.round };
+        }
+      }
+    }
+
+    // Walking transfers from stops reached by a ride this round
+    for (const id of [...improved]) {
+      const from = current.get(id);
+      for (const { to, km } of footpaths.get(id) || []) {
+        const time = from.time + walkSeconds(km) * 1000;
+        if (time < (best.get(to) ?? Infinity)) {
+          current.set(to, { time, type: 'transfer', from: id, km });
+          best.set(to, time);
+          improved.add(to);
+        }
+      }
+    }
+    marked = improved;
+  }
+
+  // Best finish per number of rides, then rank by total time
+  const itineraries = [];
+  for (let k = 1; k < labels.length; k++) {
+    let bestFinish = null;
+    for (const stop of destinationStops) {
+      const id = stop._id.toString();
+      const label = labels[k].get(id);
+      if (!label) continue;
+      const km = kmBetween(coordsOf(stop), [destination.lng, destination.lat]);
+      const finish = label.time + walkSeconds(km) * 1000;
+      if (!bestFinish || finish < bestFinish.finish) bestFinish = { id, km, finish, stop };
+    }
+    if (!bestFinish) continue;
+
+    const legs = reconstruct(labels, k, bestFinish.id, stopsById, origin);
+    legs.push({
+      mode: 'walk',
+      from: stopSummary(bestFinish.stop),
+      to: { lat: destination.lat, lng: destination.lng },
+      distanceKm: Math.round(bestFinish.km * 100) / 100,
+      minutes: toMinutes(walkSeconds(bestFinish.km))
+    });
+
+    const rides = legs.filter(l => l.mode === 'bus');
+    itineraries.push({
+      totalMinutes: toMinutes((bestFinish.finish - t0) / 1000),
+      departureTime: now,
+      arrivalTime: new Date(bestFinish.finish),
+      transfers: rides.length - 1,
+      walkingMinutes: legs.filter(l => l.mode === 'walk').reduce((sum, l) => sum + l.minutes, 0),
+      waitingMinutes: rides.reduce((sum, l) => sum + l.waitMinutes, 0),
+      inVehicleMinutes: rides.reduce((sum, l) => sum + l.inVehicleMinutes, 0),
+      legs
+    });
+  }
+
+  // A later round only earns its place if it is actually faster
+  itineraries.sort((a, b) => a.totalMinutes - b.totalMinutes || a.transfers - b.transfers);
+  const ranked = itineraries.filter((it, i) =>
+    !itineraries.slice(0, i).some(other => other.transfers <= it.transfers));
+
+  return { itineraries: ranked, walkOnly };
+}
+
+module.exports = { planJourney, invalidateFootpaths, MAX_TRANSFERS };
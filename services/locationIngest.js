@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Route = require('../models/Route');
+const LocationHistory = require('../models/LocationHistory');
+const LocationAnomaly = require('../models/LocationAnomaly');
+const { haversineDistance, distanceToPolylineMeters } = require('../utils/geo');
+const { orderedStops } = require('../utils/eta');
+const { detectStopEvents } = require('./arrivalDetector');
+const { trackOffRoute } = require('./fleetAlerts');
+const { isLive, applyFixStatus } = require('./vehicleStatus');
+
+// Location fix pipeline behind /api/driver/update-location (and its /batch variant):
+//   1. plausibility — reject fixes that can't be right: 0,0 (a receiver with no lock),
+//      accuracy worse than MAX_ACCURACY_M, or an implied speed from the bus's last
+//      position above MAX_SPEED_KMH (the device's accuracy is given the benefit of the doubt)
+//   2. corridor — flag fixes further than CORRIDOR_M from the route's stop polyline
+//      (straight lines between consecutive stops, so allow for curving roads)
+//   3. apply — move the bus, smooth its speed, update its status, geofence stops, keep the breadcrumb
+//   4. off-route — see services/fleetAlerts.js
+// Rejected fixes leave the bus untouched. Rejected and flagged fixes are kept as
+// LocationAnomaly documents for review.
+// Live and batched uploads for one bus can race, so the bus is only moved by a fix
+// newer than the one stored; one that lost the race is backfilled instead.
+const MAX_ACCURACY_M = Number(process.env.GPS_MAX_ACCURACY_M) || 200;
+const MAX_SPEED_KMH = Number(process.env.GPS_MAX_SPEED_KMH) || 150;
+const CORRIDOR_M = Number(process.env.OFF_ROUTE_CORRIDOR_M) || 300;
+
+// Batched uploads: fixes older than this are refused, and device clocks may run
+// at most CLOCK_SKEW_SECONDS ahead of the server
+const BATCH_MAX_AGE_HOURS = Number(process.env.LOCATION_BATCH_MAX_AGE_HOURS) || 12;
+const CLOCK_SKEW_SECONDS = 120;
+
+// Weight of the newest fix in Bus.avgSpeed
+const SPEED_SMOOTHING = 0.3;
+
+const hasPosition = (bus) => {
+  const [lng, lat] = bus.currentLocation.coordinates;
+  return lng !== 0 || lat !== 0;
+};
+
+// Check one fix against the bus's last position and its route.
+// → { verdict: 'accepted' | 'flagged' | 'rejected', reasons: [{ code, message, rejects }], impliedSpeedKmh, corridorDistanceM }
+function assessFix(bus, { latitude, longitude, accuracy }, { route = null, at = new Date() } = {}) {
+  const reasons = [];
+  const add = (code, message, rejects) => reasons.push({ code, message, rejects });
+
+  if (latitude === 0 && longitude === 0) add('null_island', 'position 0,0 is not a real fix', true);
+  if (accuracy !== undefined && accuracy > MAX_ACCURACY_M) {
+    add('low_accuracy', `accuracy of ${Math.round(accuracy)} m is worse than the ${MAX_ACCURACY_M} m limit`, true);
+  }
+
+  let impliedSpeedKmh;
+  if (hasPosition(bus) && bus.lastUpdated) {
+    const seconds = (at - bus.lastUpdated) / 1000;
+    const [prevLng, prevLat] = bus.currentLocation.coordinates;
+    const km = Math.max(0, haversineDistance(prevLat, prevLng, latitude, longitude) - (accuracy || 0) / 1000);
+    if (seconds < 0) {
+      add('out_of_order', 'fix is older than the bus\'s current position', true);
+    } else if (seconds > 0) {
+      impliedSpeedKmh = Math.round(km / (seconds / 3600));
+      if (impliedSpeedKmh > MAX_SPEED_KMH) {
+        add('impossible_jump', `moving ${Math.round(km * 1000)} m in ${Math.round(seconds)} s implies ${impliedSpeedKmh} km/h`, true);
+      }
+    }
+  }
+
+  let corridorDistanceM;
+  const line = route ? orderedStops(route).map(s => s.stop.location.coordinates) : [];
+  if (line.length >= 2) {
+    corridorDistanceM = Math.round(distanceToPolylineMeters([longitude, latitude], line));
+    if (corridorDistanceM > CORRIDOR_M) add('off_route', `${corridorDistanceM} m from the route`, false);
+  }
+
+  const verdict = reasons.some(r => r.rejects) ? 'rejected' : reasons.length ? 'flagged' : 'accepted';
+  return { verdict, reasons, impliedSpeedKmh, corridorDistanceM };
+}
+
+function recordAnomaly(bus, fix, assessment, { at, reportedBy }) {
+  return LocationAnomaly.create({
+    bus: bus._id,
+    route: bus.route?._id || bus.route,
+    driver: bus.driver,
+    reportedBy,
+    verdict: assessment.verdict,
+    reasons: assessment.reasons.map(r => r.code),
+    messages: assessment.reasons.map(r => r.message),
+    location: { type: 'Point', coordinates: [fix.longitude, fix.latitude] },
+    accuracy: fix.accuracy,
+    speed: fix.speed,
+    heading: fix.heading,
+    impliedSpeedKmh: assessment.impliedSpeedKmh,
+    corridorDistanceM: assessment.corridorDistanceM,
+    recordedAt: at
+  });
+}
+
+// save() that only lands while `filter` still matches the stored bus. → false when it didn't
+async function saveIf(bus, filter) {
+  bus.$where = filter;
+  try {
+    await bus.save();
+    return true;
+  } catch (err) {
+    if (err instanceof mongoose.Error.DocumentNotFoundError) return false;
+    throw err;
+  } finally {
+    bus.$where = undefined;
+  }
+}
+
+// Another request moved the bus while this one was working: take its state
+async function reloadBus(bus) {
+  const current = await Bus.findById(bus._id).lean();
+  if (current) bus.overwrite(current);
+}
+
+const loadRoute = (bus) =>
+  bus.route ? Route.findById(bus.route).populate('stops.stop', 'name stopCode location') : null;
+
+// Run one fix { latitude, longitude, speed?, heading?, accuracy? } taken at `at`
+// through the pipeline and save the bus. Pass `route` when it is already loaded.
+// → { accepted, backfilled, assessment, stopEvents, statusChange, alert }
+//   backfilled — a newer fix was stored first, so this one only joined the history
+async function ingestFix(bus, fix, { at = new Date(), reportedBy, route } = {}) {
+  if (route === undefined) route = await loadRoute(bus);
+
+  const assessment = assessFix(bus, fix, { route, at });
+  if (assessment.verdict === 'rejected') {
+    await recordAnomaly(bus, fix, assessment, { at, reportedBy });
+    return { accepted: false, backfilled: false, assessment, stopEvents: [], statusChange: null, alert: null };
+  }
+
+  // Remember where the bus was so the breadcrumb can carry the distance covered
+  const [prevLng, prevLat] = bus.currentLocation.coordinates;
+  const hadPreviousFix = isLive(bus.status) && hasPosition(bus);
+  const distanceFromPrevKm = hadPreviousFix ? haversineDistance(prevLat, prevLng, fix.latitude, fix.longitude) : 0;
+
+  bus.currentLocation = { type: 'Point', coordinates: [fix.longitude, fix.latitude] };
+  bus.speed = fix.speed || 0;
+  // Exponential smoothing so one red light doesn't swing every ETA
+  bus.avgSpeed = hadPreviousFix
+    ? SPEED_SMOOTHING * bus.speed + (1 - SPEED_SMOOTHING) * (bus.avgSpeed || bus.speed)
+    : bus.speed;
+  bus.heading = fix.heading || 0;
+  bus.lastUpdated = at;
+  const statusChange = applyFixStatus(bus, { speed: bus.speed, movedMeters: distanceFromPrevKm * 1000, at });
+
+  // Claim the position before anything is recorded against it
+  const claimed = await saveIf(bus, { $or: [{ lastUpdated: null }, { lastUpdated: { $lt: at } }] });
+  if (!claimed) {
+    await reloadBus(bus);
+    const outcome = await backfillFix(bus, fix, { at, route, reportedBy });
+    return { ...outcome, backfilled: outcome.accepted, stopEvents: [], statusChange: null, alert: null };
+  }
+
+  // Geofence against the route's stops — advances nextStopIndex
+  const stopEvents = route ? await detectStopEvents(bus, { timestamp: at, route }) : [];
+  const alert = await trackOffRoute(bus, {
+    offRoute: assessment.reasons.some(r => r.code === 'off_route'),
+    distanceM: assessment.corridorDistanceM,
+    at
+  });
+
+  // A newer fix that landed meanwhile owns the stop progress from here on
+  if (!await saveIf(bus, { lastUpdated: at })) await reloadBus(bus);
+
+  await LocationHistory.create({
+    bus: bus._id,
+    route: bus.route,
+    driver: bus.driver,
+    location: bus.currentLocation,
+    speed: bus.speed,
+    heading: bus.heading,
+    accuracy: fix.accuracy,
+    distanceFromPrevKm,
+    recordedAt: at,
+  });
+
+  if (assessment.verdict === 'flagged') await recordAnomaly(bus, fix, assessment, { at, reportedBy });
+
+  return { accepted: true, backfilled: false, assessment, stopEvents, statusChange, alert };
+}
+
+// A fix older than the bus's current position only joins the breadcrumb trail:
+// it doesn't move the bus or replay arrival detection. It carries no distance,
+// the live trail already covers that stretch. `prev` is the previous backfilled
+// fix { coordinates, at }, so buffered fixes are still checked against each other.
+async function backfillFix(bus, fix, { at, prev, route, reportedBy }) {
+  const previous = { currentLocation: { coordinates: prev ? prev.coordinates : [0, 0] }, lastUpdated: prev?.at };
+  const assessment = assessFix(previous, fix, { route, at });
+  if (assessment.verdict !== 'accepted') await recordAnomaly(bus, fix, assessment, { at, reportedBy });
+  if (assessment.verdict === 'rejected') return { accepted: false, assessment };
+
+  await LocationHistory.create({
+    bus: bus._id,
+    route: bus.route,
+    driver: bus.driver,
+    location: { type: 'Point', coordinates: [fix.longitude, fix.latitude] },
+    speed: fix.speed || 0,
+    heading: fix.heading || 0,
+    accuracy: fix.accuracy,
+    distanceFromPrevKm: 0,
+    recordedAt: at,
+  });
+  return { accepted: true, assessment };
+}
+
+// Apply fixes a driver's phone buffered while offline: [{ seq?, recordedAt, latitude, longitude, ... }]
+//   - duplicates (a seq repeated in the batch, or a recordedAt already in the bus's
+//     history from an earlier upload) are skipped
+//   - fixes from the future or older than BATCH_MAX_AGE_HOURS are refused
+//   - fixes newer than the bus's position go through ingestFix oldest first, so arrival
+//     detection sees them in order and the newest one ends up as currentLocation
+//   - older fixes only backfill the history (backfillFix), as do newer ones that a
+//     concurrent upload beat to the bus
+// → { results: [{ seq, recordedAt, status, reasons?, flags? }], applied, backfilled, stopEvents, statusChanges }
+//   status: applied | backfilled | duplicate | rejected
+async function ingestBatch(bus, fixes, { reportedBy, now = new Date() } = {}) {
+  const route = await loadRoute(bus);
+  const sorted = [...fixes].sort((a, b) => a.recordedAt - b.recordedAt || (a.seq ?? 0) - (b.seq ?? 0));
+
+  const existing = await LocationHistory.find(
+    { bus: bus._id, recordedAt: { $in: sorted.map(f => f.recordedAt) } },
+    'recordedAt'
+  );
+  const seenTimes = new Set(existing.map(h => h.recordedAt.getTime()));
+  const seenSeqs = new Set();
+  const oldest = now.getTime() - BATCH_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const newest = now.getTime() + CLOCK_SKEW_SECONDS * 1000;
+
+  const results = [];
+  const stopEvents = [];
+  let applied = 0;
+  let backfilled = 0;
+  const statusChanges = [];
+  let prev = null;
+
+  for (const fix of sorted) {
+    const at = fix.recordedAt;
+    const result = { seq: fix.seq, recordedAt: at };
+    results.push(result);
+
+    if (seenTimes.has(at.getTime()) || (fix.seq !== undefined && seenSeqs.has(fix.seq))) {
+      result.status = 'duplicate';
+      continue;
+    }
+    seenTimes.add(at.getTime());
+    if (fix.seq !== undefined) seenSeqs.add(fix.seq);
+
+    if (at.getTime() > newest || at.getTime() < oldest) {
+      result.status = 'rejected';
+      result.reasons = [at.getTime() > newest ? 'future_timestamp' : 'too_old'];
+      continue;
+    }
+
+    let outcome;
+    if (bus.lastUpdated && at <= bus.lastUpdated) {
+      outcome = await backfillFix(bus, fix, { at, prev, route, reportedBy });
+      if (outcome.accepted) {
+        backfilled++;
+        prev = { coordinates: [fix.longitude, fix.latitude], at };
+      }
+      result.status = outcome.accepted ? 'backfilled' : 'rejected';
+    } else {
+      outcome = await ingestFix(bus, fix, { at, reportedBy, route });
+      if (outcome.backfilled) {
+        backfilled++;
+        result.status = 'backfilled';
+      } else {
+        if (outcome.accepted) {
+          applied++;
+          stopEvents.push(...outcome.stopEvents);
+          if (outcome.statusChange) statusChanges.push(outcome.statusChange);
+        }
+        result.status = outcome.accepted ? 'applied' : 'rejected';
+      }
+    }
+
+    const codes = outcome.assessment.reasons.map(r => r.code);
+    if (codes.length) result[outcome.accepted ? 'flags' : 'reasons'] = codes;
+  }
+
+  return { results, applied, backfilled, stopEvents, statusChanges };
+}
+
+module.exports = { MAX_ACCURACY_M, MAX_SPEED_KMH, CORRIDOR_M, BATCH_MAX_AGE_HOURS, assessFix, ingestFix, ingestBatch };
@@ -0,0 +1,80 @@
+const webpush = require('web-push');
+const { sendSms } = require('./sms');
+
+// Passenger notification channels. Each takes the subscription's `target`
+// and a { title, body, data } message. Add more with registerNotificationChannel.
+//   webpush — browser Web Push; needs VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (VAPID_SUBJECT optional),
+//             only to the browser push services below (WEBPUSH_EXTRA_HOSTS adds more)
+//   webhook — POSTs the message as JSON to target.url (hosts in SUBSCRIPTION_WEBHOOK_HOSTS)
+//   sms     — through services/sms.js (SMS_PROVIDER); SUBSCRIPTION_SMS_ENABLED=true, confirmed numbers
+//   console — prints the message; for local development, refused in production
+// routes/subscriptions.js decides which channels the public may pick.
+// Push services of Chrome/Edge (FCM), Firefox, Windows and Safari; subdomains included
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'push.services.mozilla.com', 'notify.windows.com', 'push.apple.com'];
+
+const webPushAvailable = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+// An endpoint the server may POST to: https on a known push service
+function isPushServiceEndpoint(endpoint) {
+  const url = URL.parse(endpoint);
+  if (!url || url.protocol !== 'https:') return false;
+  const extra = (process.env.WEBPUSH_EXTRA_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  const host = url.hostname.toLowerCase();
+  return [...PUSH_SERVICE_HOSTS, ...extra].some(h => host === h || host.endsWith(`.${h}`));
+}
+
+let vapidConfigured = false;
+function configureWebPush() {
+  if (vapidConfigured) return;
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) throw new Error('Web Push is not configured (VAPID keys missing)');
+  webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:admin@localhost', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  vapidConfigured = true;
+}
+
+const channels = {
+  webpush: {
+    async send(target, message) {
+      configureWebPush();
+      if (!isPushServiceEndpoint(target.pushSubscription?.endpoint)) throw new Error('Push endpoint is not a known push service');
+      await webpush.sendNotification(target.pushSubscription, JSON.stringify(message), { TTL: 300 });
+    }
+  },
+
+  webhook: {
+    async send(target, message) {
+      const res = await fetch(target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
+    }
+  },
+
+  sms: {
+    async send(target, message) {
+      await sendSms(target.phone, `${message.title}: ${message.body}`);
+    }
+  },
+
+  console: {
+    async send(target, message) {
+      console.log(`[notify] ${message.title} — ${message.body}`);
+    }
+  }
+};
+
+function registerNotificationChannel(name, channel) {
+  if (typeof channel?.send !== 'function') throw new Error('Notification channel must implement send(target, message)');
+  channels[name] = channel;
+}
+
+async function notify(channelName, target, message) {
+  const channel = channels[channelName];
+  if (!channel) throw new Error(`Unknown notification channel "${channelName}"`);
+  await channel.send(target, message);
+}
+
+module.exports = { notify, registerNotificationChannel, webPushAvailable, isPushServiceEndpoint };
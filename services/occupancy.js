@@ -0,0 +1,82 @@
+const OccupancySample = require('../models/OccupancySample');
+
+// Occupancy levels, emptiest first, with the highest load factor each covers
+// and the matching GTFS-Realtime OccupancyStatus.
+const LEVELS = [
+  { level: 'empty', maxLoad: 0.05, gtfs: 'EMPTY' },
+  { level: 'many_seats', maxLoad: 0.5, gtfs: 'MANY_SEATS_AVAILABLE' },
+  { level: 'few_seats', maxLoad: 0.8, gtfs: 'FEW_SEATS_AVAILABLE' },
+  { level: 'standing', maxLoad: 1, gtfs: 'STANDING_ROOM_ONLY' },
+  { level: 'full', maxLoad: Infinity, gtfs: 'FULL' },
+];
+const LEVEL_NAMES = LEVELS.map(l => l.level);
+
+// Representative load factor for a level reported without a count
+const LEVEL_LOAD = { empty: 0, many_seats: 0.3, few_seats: 0.65, standing: 0.9, full: 1 };
+
+// Reports older than this are not shown to passengers
+const OCCUPANCY_MAX_AGE_MINUTES = Number(process.env.OCCUPANCY_MAX_AGE_MINUTES) || 20;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function levelForLoad(loadFactor) {
+  return LEVELS.find(l => loadFactor < l.maxLoad || l.maxLoad === Infinity).level;
+}
+
+const gtfsOccupancyStatus = (level) => LEVELS.find(l => l.level === level)?.gtfs;
+
+// Keep an occupancy reading in the history only, e.g. one older than what the bus shows.
+// Give `count` (passengers on board) and/or `level`. → { count, level, loadFactor }
+async function recordOccupancySample(bus, { count, level, source, boardings, alightings, at = new Date() }) {
+  const capacity = bus.capacity || 50;
+  const loadFactor = count !== undefined ? round2(count / capacity) : LEVEL_LOAD[level];
+  const resolvedLevel = level || levelForLoad(loadFactor);
+
+  await OccupancySample.create({
+    bus: bus._id,
+    route: bus.route?._id || bus.route,
+    trip: bus.currentTrip?._id || bus.currentTrip || undefined,
+    stopIndex: bus.atStopIndex ?? bus.nextStopIndex,
+    count,
+    level: resolvedLevel,
+    loadFactor,
+    capacity,
+    boardings,
+    alightings,
+    source,
+    recordedAt: at,
+  });
+  return { count, level: resolvedLevel, loadFactor };
+}
+
+// Record a new occupancy reading on the bus (not saved) and in the history.
+// A level alone is fine for drivers who only tap "standing" / "full".
+async function applyOccupancy(bus, { count, level, source, boardings, alightings, at = new Date() }) {
+  const resolved = await recordOccupancySample(bus, { count, level, source, boardings, alightings, at });
+  bus.occupancy = {
+    count,
+    level: resolved.level,
+    loadFactor: resolved.loadFactor,
+    source,
+    updatedAt: at,
+  };
+  return bus.occupancy;
+}
+
+// Passenger-facing occupancy, or null when there's no recent report
+function currentOccupancy(bus, now = Date.now()) {
+  const occ = bus.occupancy;
+  if (!occ?.level || !occ.updatedAt) return null;
+  if (now - new Date(occ.updatedAt).getTime() > OCCUPANCY_MAX_AGE_MINUTES * 60 * 1000) return null;
+  return {
+    level: occ.level,
+    count: occ.count ?? null,
+    capacity: bus.capacity,
+    loadFactor: occ.loadFactor ?? null,
+    isFull: occ.level === 'full',
+    source: occ.source,
+    updatedAt: occ.updatedAt,
+  };
+}
+
+module.exports = { LEVEL_NAMES, levelForLoad, gtfsOccupancyStatus, recordOccupancySample, applyOccupancy, currentOccupancy };
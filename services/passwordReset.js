@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PasswordResetOtp = require('../models/PasswordResetOtp');
+const { hashToken } = require('../utils/tokens');
+const { badRequest } = require('../utils/httpError');
+const { sendSms } = require('./sms');
+const { revokeAllSessions } = require('./sessions');
+
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+// Minimum gap between two codes for the same account
+const OTP_RESEND_SECONDS = 60;
+
+// Bound to the user so a code can't be replayed against another account
+const hashOtp = (userId, code) => hashToken(`${userId}:${code}`);
+
+// Text a 6-digit code to the account's phone. Unknown numbers are ignored
+// silently so the endpoint can't be used to discover registered phones.
+async function requestPasswordReset(phone) {
+  const user = await User.findOne({ phone });
+  if (!user) return;
+
+  const recent = await PasswordResetOtp.findOne({
+    user: user._id,
+    createdAt: { $gt: new Date(Date.now() - OTP_RESEND_SECONDS * 1000) }
+  });
+  if (recent) return;
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  // Only the newest code is valid
+  await PasswordResetOtp.deleteMany({ user: user._id });
+  await PasswordResetOtp.create({
+    user: user._id,
+    codeHash: hashOtp(user._id, code),
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+  });
+
+  await sendSms(user.phone, `Your Bus Tracker password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+}
+
+// Check the code, set the new password and sign the account out everywhere
+async function resetPassword(phone, code, newPassword) {
+  const invalid = badRequest('Invalid or expired code');
+  const user = await User.findOne({ phone });
+  if (!user) throw invalid;
+
+  // Claim the attempt before comparing, so parallel guesses can't get past the limit
+  const otp = await PasswordResetOtp.findOneAndUpdate(
+    { user: user._id, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!otp) throw invalid;
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const given = Buffer.from(hashOtp(user._id, code), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) throw invalid;
+
+  // Only one request gets to spend the code
+  const { deletedCount } = await PasswordResetOtp.deleteOne({ _id: otp._id });
+  if (!deletedCount) throw invalid;
+  await PasswordResetOtp.deleteMany({ user: user._id });
+  user.password = newPassword;
+  await user.save();
+  await revokeAllSessions(user._id);
+  return user;
+}
+
+module.exports = { OTP_TTL_MINUTES, requestPasswordReset, resetPassword };
@@ -0,0 +1,36 @@
+const QRCode = require('qrcode');
+const Stop = require('../models/Stop');
+
+// Stop QR codes open the PASSENGER frontend at /stop/<id>. Every code — API,
+// printed signs — comes from here, so they all point at the same place.
+const PASSENGER_FRONTEND_URL = (process.env.PASSENGER_FRONTEND_URL || 'https://salemoneview.netlify.app')
+  .replace(/\/+$/, '');
+
+const QR_FORMATS = ['png', 'svg'];
+const DEFAULT_SIZE = 400;
+
+const QR_OPTIONS = {
+  margin: 2,
+  errorCorrectionLevel: 'M',
+  color: { dark: '#1a1a2e', light: '#ffffff' }
+};
+
+const stopUrl = (stop) => `${PASSENGER_FRONTEND_URL}/stop/${stop._id}`;
+
+// PNG → Buffer, SVG → string. Rendered on demand; nothing is stored on the stop.
+function renderStopQr(stop, format = 'png', { size = DEFAULT_SIZE } = {}) {
+  if (format === 'svg') return QRCode.toString(stopUrl(stop), { ...QR_OPTIONS, type: 'svg', width: size });
+  return QRCode.toBuffer(stopUrl(stop), { ...QR_OPTIONS, type: 'png', width: size });
+}
+
+// data:image/png;base64,… for JSON clients
+const stopQrDataUrl = (stop, { size = DEFAULT_SIZE } = {}) =>
+  QRCode.toDataURL(stopUrl(stop), { ...QR_OPTIONS, width: size });
+
+// Stops created before QR codes were rendered on demand carry a stored base64 image
+async function dropStoredQrCodes() {
+  const result = await Stop.collection.updateMany({ qrCode: { $exists: true } }, { $unset: { qrCode: '' } });
+  if (result.modifiedCount) console.log(`Removed stored QR images from ${result.modifiedCount} stop(s)`);
+}
+
+module.exports = { PASSENGER_FRONTEND_URL, QR_FORMATS, stopUrl, renderStopQr, stopQrDataUrl, dropStoredQrCodes };
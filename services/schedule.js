@@ -0,0 +1,146 @@
+const Bus = require('../models/Bus');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Trip = require('../models/Trip');
+const { orderedStops, segmentDistanceKm, dwellSeconds, FALLBACK_SPEED_KMH } = require('../utils/eta');
+const { serviceDayStart, serviceTimeToDate, parseServiceTime } = require('../utils/serviceTime');
+const { unprocessable } = require('../utils/httpError');
+const { liveFilter } = require('./vehicleStatus');
+
+// Deviation band counted as on time (minutes; negative = early)
+const ON_TIME_EARLY_MINUTES = Number(process.env.ON_TIME_EARLY_MINUTES) || 1;
+const ON_TIME_LATE_MINUTES = Number(process.env.ON_TIME_LATE_MINUTES) || 5;
+
+// How far from its first departure a trip can be auto-assigned at start of shift
+const AUTO_ASSIGN_BEFORE_MINUTES = 30;
+const AUTO_ASSIGN_AFTER_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function adherenceStatus(deviationMinutes) {
+  if (deviationMinutes < -ON_TIME_EARLY_MINUTES) return 'early';
+  if (deviationMinutes > ON_TIME_LATE_MINUTES) return 'late';
+  return 'on-time';
+}
+
+// ServiceCalendar ids running on the day containing `date`
+async function activeServiceIds(date = new Date()) {
+  const calendars = await ServiceCalendar.find();
+  return calendars.filter(c => c.runsOn(date)).map(c => c._id);
+}
+
+// Estimated stop times for a trip starting at `startSeconds`, from the route's
+// segment distances at the fallback speed plus dwell at intermediate stops.
+// `route.stops.stop` must be populated.
+function generateStopTimes(route, startSeconds) {
+  const stops = orderedStops(route);
+  let t = startSeconds;
+  return stops.map((s, pos) => {
+    if (pos > 0) t += (segmentDistanceKm(stops, pos) / FALLBACK_SPEED_KMH) * 3600;
+    const dwell = pos > 0 && pos < stops.length - 1 ? dwellSeconds(s) : 0;
+    const stopTime = {
+      stop: s.stop._id,
+      stopIndex: s.order,
+      arrival: Math.round(t),
+      departure: Math.round(t + dwell)
+    };
+    t += dwell;
+    return stopTime;
+  });
+}
+
+// Validate submitted stop times against the route and convert them to seconds.
+// Each entry: { stopIndex | stop, arrival, departure? } with "HH:MM[:SS]" or seconds.
+// Every stop must belong to the route, and times must never go backwards.
+function normaliseStopTimes(route, input) {
+  if (!Array.isArray(input) || input.length < 2) {
+    throw unprocessable('stopTimes must list at least two stops');
+  }
+  const stops = orderedStops(route);
+
+  const stopTimes = input.map((entry, i) => {
+    const routeStop = entry.stopIndex !== undefined
+      ? stops.find(s => s.order === Number(entry.stopIndex))
+      : stops.find(s => s.stop._id.toString() === String(entry.stop));
+    if (!routeStop) throw unprocessable(`stopTimes[${i}] is not a stop on this route`);
+
+    const arrival = parseServiceTime(entry.arrival ?? entry.departure);
+    const departure = parseServiceTime(entry.departure ?? entry.arrival);
+    if (isNaN(arrival) || isNaN(departure)) throw unprocessable(`stopTimes[${i}] needs a valid HH:MM time`);
+    if (departure < arrival) throw unprocessable(`stopTimes[${i}] departs before it arrives`);
+
+    return { stop: routeStop.stop._id, stopIndex: routeStop.order, arrival, departure };
+  }).sort((a, b) => a.stopIndex - b.stopIndex);
+
+  for (let i = 1; i < stopTimes.length; i++) {
+    if (stopTimes[i].stopIndex === stopTimes[i - 1].stopIndex) throw unprocessable('A stop is listed twice in stopTimes');
+    if (stopTimes[i].arrival < stopTimes[i - 1].departure) throw unprocessable('stopTimes go backwards in time');
+  }
+  return stopTimes;
+}
+
+const stopTimeAt = (trip, stopIndex) => trip.stopTimes.find(st => st.stopIndex === stopIndex);
+
+// Pick today's trip on the bus's route whose first departure is closest to now
+// and which no other running bus is already operating.
+async function pickTripForBus(bus, at = new Date()) {
+  const services = await activeServiceIds(at);
+  const trips = await Trip.find({ route: bus.route, service: { $in: services }, isActive: true });
+  if (!trips.length) return null;
+
+  const taken = await Bus.find(
+    { _id: { $ne: bus._id }, ...liveFilter(), currentTrip: { $in: trips.map(t => t._id) } },
+    'currentTrip'
+  );
+  const takenIds = new Set(taken.map(b => b.currentTrip.toString()));
+
+  const nowSeconds = (at.getTime() - serviceDayStart(at).getTime()) / 1000;
+  let best = null;
+  for (const trip of trips) {
+    if (takenIds.has(trip._id.toString()) || !trip.stopTimes.length) continue;
+    const offsetMinutes = (trip.stopTimes[0].departure - nowSeconds) / 60;
+    if (offsetMinutes < -AUTO_ASSIGN_BEFORE_MINUTES || offsetMinutes > AUTO_ASSIGN_AFTER_MINUTES) continue;
+    if (!best || Math.abs(offsetMinutes) < Math.abs(best.offsetMinutes)) best = { trip, offsetMinutes };
+  }
+  return best ? best.trip : null;
+}
+
+// Scheduled departures from a stop in [from, from + windowMinutes], across today's
+// service and yesterday's trips that run past midnight.
+async function upcomingStopDepartures(stopId, { from = new Date(), windowMinutes = 90 } = {}) {
+  const until = new Date(from.getTime() + windowMinutes * 60 * 1000);
+  const today = serviceDayStart(from);
+  const yesterday = serviceDayStart(new Date(today.getTime() - DAY_MS / 2));
+
+  const departures = [];
+  for (const day of [yesterday, today]) {
+    const services = await activeServiceIds(day);
+    if (!services.length) continue;
+
+    const trips = await Trip.find({
+      service: { $in: services },
+      isActive: true,
+      'stopTimes.stop': stopId
+    }).populate('route', 'name routeNumber');
+
+    for (const trip of trips) {
+      const stopTime = trip.stopTimes.find(st => st.stop.toString() === stopId.toString());
+      const departure = serviceTimeToDate(day, stopTime.departure);
+      if (departure < from || departure > until) continue;
+      departures.push({ trip, serviceDate: day, stopTime, departure, arrival: serviceTimeToDate(day, stopTime.arrival) });
+    }
+  }
+
+  return departures.sort((a, b) => a.departure - b.departure);
+}
+
+module.exports = {
+  ON_TIME_EARLY_MINUTES,
+  ON_TIME_LATE_MINUTES,
+  adherenceStatus,
+  activeServiceIds,
+  generateStopTimes,
+  normaliseStopTimes,
+  stopTimeAt,
+  pickTripForBus,
+  upcomingStopDepartures
+};
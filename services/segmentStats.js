@@ -0,0 +1,72 @@
+const SegmentStat = require('../models/SegmentStat');
+
+// Observations outside this window are GPS glitches or buses parked mid-route
+const MIN_SEGMENT_SECONDS = 5;
+const MAX_SEGMENT_SECONDS = 2 * 60 * 60;
+
+// A bucket needs this many observations before predictions trust it
+const MIN_SAMPLES = Number(process.env.SEGMENT_STATS_MIN_SAMPLES) || 3;
+
+// Record one observed departure → arrival run between consecutive stops
+async function recordSegmentTravel({ route, fromStop, toStop, fromIndex, toIndex, departedAt, arrivedAt }) {
+  const seconds = (arrivedAt.getTime() - departedAt.getTime()) / 1000;
+  if (seconds < MIN_SEGMENT_SECONDS || seconds > MAX_SEGMENT_SECONDS) return;
+
+  await SegmentStat.updateOne(
+    { route, fromIndex, toIndex, weekday: departedAt.getDay(), hour: departedAt.getHours() },
+    {
+      $set: { fromStop, toStop, updatedAt: new Date() },
+      $inc: { count: 1, sumSeconds: seconds, sumSquares: seconds * seconds },
+      $min: { minSeconds: seconds },
+      $max: { maxSeconds: seconds }
+    },
+    { upsert: true }
+  );
+}
+
+const summarise = ({ count, sumSeconds, sumSquares }) => {
+  const mean = sumSeconds / count;
+  const variance = Math.max(0, sumSquares / count - mean * mean);
+  return { count, mean, std: Math.sqrt(variance) };
+};
+
+// Fold one route's buckets for an hour into Map<toIndex, { count, mean, std }>
+function statsFromBuckets(docs, weekday) {
+  const exact = new Map();
+  const pooled = new Map();
+  for (const doc of docs) {
+    if (doc.weekday === weekday) exact.set(doc.toIndex, doc);
+    const acc = pooled.get(doc.toIndex) || { count: 0, sumSeconds: 0, sumSquares: 0 };
+    acc.count += doc.count;
+    acc.sumSeconds += doc.sumSeconds;
+    acc.sumSquares += doc.sumSquares;
+    pooled.set(doc.toIndex, acc);
+  }
+
+  const stats = new Map();
+  for (const [toIndex, acc] of pooled) {
+    const bucket = exact.get(toIndex);
+    if (bucket && bucket.count >= MIN_SAMPLES) stats.set(toIndex, summarise(bucket));
+    else if (acc.count >= MIN_SAMPLES) stats.set(toIndex, summarise(acc));
+  }
+  return stats;
+}
+
+// Learned run times for every segment of a route at a given moment.
+// Returns Map<toIndex, { count, mean, std }> in seconds. Uses the exact
+// weekday/hour bucket when it has enough samples, otherwise the same hour
+// pooled across all weekdays.
+async function getSegmentStats(routeId, at = new Date()) {
+  const docs = await SegmentStat.find({ route: routeId, hour: at.getHours() }).lean();
+  return statsFromBuckets(docs, at.getDay());
+}
+
+// getSegmentStats for many routes in one query → Map<routeId string, stats>
+async function getSegmentStatsForRoutes(routeIds, at = new Date()) {
+  const docs = await SegmentStat.find({ route: { $in: routeIds }, hour: at.getHours() }).lean();
+  const byRoute = new Map(routeIds.map(id => [id.toString(), []]));
+  for (const doc of docs) byRoute.get(doc.route.toString())?.push(doc);
+  return new Map([...byRoute].map(([id, buckets]) => [id, statsFromBuckets(buckets, at.getDay())]));
+}
+
+module.exports = { recordSegmentTravel, getSegmentStats, getSegmentStatsForRoutes, MIN_SAMPLES };
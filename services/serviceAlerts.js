@@ -0,0 +1,71 @@
+const ServiceAlert = require('../models/ServiceAlert');
+
+// Active = switched on and, if it has periods, inside one of them right now
+const activeFilter = (now = new Date()) => ({
+  isActive: true,
+  $or: [
+    { activePeriods: { $size: 0 } },
+    {
+      activePeriods: {
+        $elemMatch: {
+          $and: [
+            { $or: [{ start: null }, { start: { $lte: now } }] },
+            { $or: [{ end: null }, { end: { $gt: now } }] }
+          ]
+        }
+      }
+    }
+  ]
+});
+
+// Switched on and not over yet — what the GTFS-RT feed publishes, including upcoming alerts
+const currentOrUpcomingFilter = (now = new Date()) => ({
+  isActive: true,
+  $or: [
+    { activePeriods: { $size: 0 } },
+    { activePeriods: { $elemMatch: { $or: [{ end: null }, { end: { $gt: now } }] } } }
+  ]
+});
+
+const NETWORK_WIDE = { routes: { $size: 0 }, stops: { $size: 0 }, buses: { $size: 0 } };
+
+// What passengers see embedded in route, stop and arrival responses
+const toPublic = (alert) => ({
+  _id: alert._id,
+  header: alert.header,
+  description: alert.description,
+  url: alert.url,
+  severity: alert.severity,
+  cause: alert.cause,
+  effect: alert.effect,
+  activePeriods: alert.activePeriods,
+  routes: alert.routes,
+  stops: alert.stops,
+  buses: alert.buses,
+});
+
+const SEVERITY_RANK = { severe: 0, warning: 1, info: 2 };
+
+// Alerts active now for any of the given routes, stops or buses, plus network-wide ones.
+// Most severe first, then newest.
+async function activeAlertsFor({ routes = [], stops = [], buses = [] } = {}, now = new Date()) {
+  const alerts = await ServiceAlert.find({
+    $and: [
+      activeFilter(now),
+      {
+        $or: [
+          NETWORK_WIDE,
+          { routes: { $in: routes } },
+          { stops: { $in: stops } },
+          { buses: { $in: buses } }
+        ]
+      }
+    ]
+  }).lean();
+
+  return alerts
+    .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] || b.createdAt - a.createdAt)
+    .map(toPublic);
+}
+
+module.exports = { activeFilter, currentOrUpcomingFilter, activeAlertsFor, toPublic };
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { unauthorized } = require('../utils/httpError');
+const { ACCESS_TOKEN_TTL, REFRESH_TOKEN_DAYS, signToken, randomToken, hashToken } = require('../utils/tokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function storeRefreshToken(user, req, family) {
+  const refreshToken = randomToken();
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  return refreshToken;
+}
+
+// New login: access token + the first refresh token of a new family
+async function issueSession(user, req) {
+  const refreshToken = await storeRefreshToken(user, req, crypto.randomUUID());
+  return { token: signToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+
+// Exchange a refresh token for a new pair. The old token is revoked; if it had
+// already been rotated, someone else holds a copy, so the whole family goes.
+async function rotateSession(refreshToken, req) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!record || record.expiresAt < new Date()) throw unauthorized('Invalid or expired refresh token');
+
+  const user = await User.findById(record.user);
+  if (!user) throw unauthorized('Invalid or expired refresh token');
+
+  const nextToken = randomToken();
+  // Claim atomically so two concurrent refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy: hashToken(nextToken) }
+  );
+  if (!claimed) {
+    await revokeFamily(record.family);
+    throw unauthorized('Refresh token has already been used. Please log in again.');
+  }
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(nextToken),
+    family: record.family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  // Signed from the current user, so role changes apply from the next refresh
+  return { user, session: { token: signToken(user), refreshToken: nextToken, expiresIn: ACCESS_TOKEN_TTL } };
+}
+
+// Logout on one device
+async function revokeSession(refreshToken) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (record) await revokeFamily(record.family);
+  return Boolean(record);
+}
+
+// Logout everywhere: revoke every refresh token and invalidate issued access tokens
+async function revokeAllSessions(userId) {
+  const [revoked] = await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() }),
+    User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+  ]);
+  return revoked.modifiedCount;
+}
+
+module.exports = { issueSession, rotateSession, revokeSession, revokeAllSessions };
@@ -0,0 +1,73 @@
+const Shift = require('../models/Shift');
+const LocationHistory = require('../models/LocationHistory');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const { conflict, unprocessable } = require('../utils/httpError');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Clock the bus's assigned driver in. One open shift per bus and per driver —
+// the partial unique indexes on Shift back this up against concurrent requests.
+async function openShift(bus, { trip = null, startedBy, at = new Date() } = {}) {
+  if (!bus.driver) throw unprocessable('This bus has no assigned driver');
+
+  const [busShift, driverShift] = await Promise.all([
+    Shift.findOne({ bus: bus._id, status: 'open' }),
+    Shift.findOne({ driver: bus.driver, status: 'open' })
+  ]);
+  if (busShift) throw conflict(`Bus ${bus.busNumber} already has a shift open since ${busShift.startedAt.toISOString()}`);
+  if (driverShift) throw conflict(`The driver already has a shift open on bus ${driverShift.busNumber}`);
+
+  const [driver, route] = await Promise.all([
+    User.findById(bus.driver, 'name'),
+    bus.route ? Route.findById(bus.route, 'name routeNumber') : null
+  ]);
+
+  try {
+    return await Shift.create({
+      driver: bus.driver,
+      bus: bus._id,
+      route: bus.route,
+      trip: trip?._id,
+      driverName: driver?.name,
+      busNumber: bus.busNumber,
+      routeNumber: route?.routeNumber,
+      routeName: route?.name,
+      tripCode: trip?.tripCode,
+      startedAt: at,
+      startedBy
+    });
+  } catch (err) {
+    if (err.code === 11000) throw conflict('A shift is already open for this bus or driver');
+    throw err;
+  }
+}
+
+// Distance and number of fixes the bus recorded between two instants
+async function drivenBetween(busId, from, to) {
+  const [totals] = await LocationHistory.aggregate([
+    { $match: { bus: busId, recordedAt: { $gte: from, $lte: to } } },
+    { $group: { _id: null, distanceKm: { $sum: '$distanceFromPrevKm' }, fixes: { $sum: 1 } } }
+  ]);
+  return { distanceKm: round2(totals?.distanceKm || 0), fixes: totals?.fixes || 0 };
+}
+
+// Clock out: duration from the clock times, distance from the bus's breadcrumbs.
+// Returns null if the shift was closed by someone else in the meantime.
+async function closeShift(shift, { endedBy, at = new Date() } = {}) {
+  const driven = await drivenBetween(shift.bus, shift.startedAt, at);
+  return Shift.findOneAndUpdate(
+    { _id: shift._id, status: 'open' },
+    {
+      status: 'closed',
+      endedAt: at,
+      endedBy,
+      durationMinutes: Math.round((at - shift.startedAt) / 60000),
+      distanceKm: driven.distanceKm,
+      locationFixes: driven.fixes
+    },
+    { new: true }
+  );
+}
+
+module.exports = { openShift, closeShift, drivenBetween };
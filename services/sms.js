@@ -0,0 +1,57 @@
+const { HttpError } = require('../utils/httpError');
+
+// Pluggable SMS sender. SMS_PROVIDER picks one of the providers registered here:
+//   console (default outside production) — prints the message; for local development
+//   webhook           — POSTs { to, message } as JSON to SMS_WEBHOOK_URL, for
+//                       gateways fronted by a small HTTP bridge
+// Other providers plug in with registerSmsProvider(name, { send(to, message) }).
+// Messages carry login codes, so production never falls back to console: without
+// a real provider, sending is refused.
+const providers = {
+  console: {
+    async send(to, message) {
+      console.log(`[sms] → ${to}: ${message}`);
+    }
+  },
+
+  webhook: {
+    async send(to, message) {
+      if (!process.env.SMS_WEBHOOK_URL) throw new Error('SMS_WEBHOOK_URL is not set');
+      const res = await fetch(process.env.SMS_WEBHOOK_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` } : {})
+        },
+        body: JSON.stringify({ to, message })
+      });
+      if (!res.ok) throw new Error(`SMS webhook responded ${res.status}`);
+    }
+  }
+};
+
+function registerSmsProvider(name, provider) {
+  if (typeof provider?.send !== 'function') throw new Error('SMS provider must implement send(to, message)');
+  providers[name] = provider;
+}
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// The provider in use, or null when SMS can't be sent on this server
+function activeProvider() {
+  const name = process.env.SMS_PROVIDER || (isProduction() ? null : 'console');
+  if (!name || (name === 'console' && isProduction())) return null;
+  return name;
+}
+
+const smsAvailable = () => Boolean(activeProvider());
+
+async function sendSms(to, message) {
+  const name = activeProvider();
+  if (!name) throw new HttpError(503, 'SMS is not configured on this server');
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider "${name}"`);
+  await provider.send(to, message);
+}
+
+module.exports = { sendSms, smsAvailable, registerSmsProvider };
@@ -0,0 +1,118 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const Route = require('../models/Route');
+const { buildStopArrivals } = require('./stopArrivals');
+const { currentOccupancy } = require('./occupancy');
+
+// Socket.IO live tracking
+//
+// Clients subscribe to rooms instead of polling the REST API:
+//   socket.emit('subscribe',   { busId, routeId, stopId })  — any combination
+//   socket.emit('unsubscribe', { busId, routeId, stopId })
+//
+// Server → client events:
+//   'bus:location'  → bus:<id> and route:<id> rooms, on every accepted location fix
+//   'stop:arrivals' → stop:<id> rooms, same payload as GET /api/buses/stop/:stopId
+//   'bus:stop-event'→ bus, route and stop rooms, on every detected arrival / departure / skip
+let io = null;
+
+// Payloads come straight from anonymous clients — anything but a plain object is refused
+const isPayload = (payload) => payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+const BAD_PAYLOAD = { error: 'Payload must be an object like { busId, routeId, stopId }' };
+
+const roomsFor = ({ busId, routeId, stopId }) => {
+  const rooms = [];
+  if (busId && mongoose.isValidObjectId(busId)) rooms.push(`bus:${busId}`);
+  if (routeId && mongoose.isValidObjectId(routeId)) rooms.push(`route:${routeId}`);
+  if (stopId && mongoose.isValidObjectId(stopId)) rooms.push(`stop:${stopId}`);
+  return rooms;
+};
+
+const hasSubscribers = (room) => (io?.sockets.adapter.rooms.get(room)?.size || 0) > 0;
+
+function initSocket(server) {
+  io = new Server(server, { cors: { origin: '*' } });
+
+  io.on('connection', (socket) => {
+    socket.on('subscribe', async (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!isPayload(payload)) return reply(BAD_PAYLOAD);
+
+      try {
+        const rooms = roomsFor(payload);
+        rooms.forEach(room => socket.join(room));
+        reply({ rooms });
+
+        // Send the current stop snapshot straight away so the client
+        // does not have to wait for the next location fix
+        if (payload.stopId && rooms.includes(`stop:${payload.stopId}`)) {
+          const arrivals = await buildStopArrivals(payload.stopId);
+          if (arrivals) socket.emit('stop:arrivals', arrivals);
+        }
+      } catch (err) {
+        console.error('Socket subscribe error:', err.message);
+      }
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!isPayload(payload)) return reply(BAD_PAYLOAD);
+
+      const rooms = roomsFor(payload);
+      rooms.forEach(room => socket.leave(room));
+      reply({ rooms });
+    });
+  });
+
+  return io;
+}
+
+// Push an accepted location fix to the bus, route and stop rooms.
+// Stop payloads are only built for stops somebody is actually watching.
+async function broadcastBusLocation(bus) {
+  if (!io) return;
+
+  const routeId = bus.route?._id || bus.route;
+  const update = {
+    busId: bus._id,
+    busNumber: bus.busNumber,
+    routeId,
+    currentLocation: bus.currentLocation,
+    lat: bus.currentLocation.coordinates[1],
+    lng: bus.currentLocation.coordinates[0],
+    speed: bus.speed,
+    heading: bus.heading,
+    status: bus.status,
+    nextStopIndex: bus.nextStopIndex,
+    atStopIndex: bus.atStopIndex,
+    lastUpdated: bus.lastUpdated,
+    occupancy: currentOccupancy(bus),
+  };
+
+  io.to(`bus:${bus._id}`).emit('bus:location', update);
+  if (!routeId) return;
+  io.to(`route:${routeId}`).emit('bus:location', update);
+
+  const route = await Route.findById(routeId).select('stops.stop');
+  if (!route) return;
+
+  for (const { stop } of route.stops) {
+    if (!stop || !hasSubscribers(`stop:${stop}`)) continue;
+    const arrivals = await buildStopArrivals(stop);
+    if (arrivals) io.to(`stop:${stop}`).emit('stop:arrivals', arrivals);
+  }
+}
+
+// Push detected stop events (arrival / departure / skipped)
+function broadcastStopEvents(bus, events) {
+  if (!io) return;
+  for (const event of events) {
+    const update = { ...event, busNumber: bus.busNumber };
+    io.to(`bus:${event.bus}`)
+      .to(`route:${event.route}`)
+      .to(`stop:${event.stop}`)
+      .emit('bus:stop-event', update);
+  }
+}
+
+module.exports = { initSocket, broadcastBusLocation, broadcastStopEvents };
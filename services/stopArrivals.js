@@ -0,0 +1,202 @@
+const Bus = require('../models/Bus');
+const Stop = require('../models/Stop');
+const { haversineDistance } = require('../utils/geo');
+const { orderedStops, calculateETA, calculateRouteETA, WALKING_SPEED_KMH } = require('../utils/eta');
+const { getSegmentStats } = require('./segmentStats');
+const { adherenceStatus, stopTimeAt, upcomingStopDepartures } = require('./schedule');
+const { serviceTimeToDate } = require('../utils/serviceTime');
+const { currentOccupancy } = require('./occupancy');
+const { activeAlertsFor } = require('./serviceAlerts');
+const { liveFilter } = require('./vehicleStatus');
+
+// Build the arrivals payload for a stop: every active bus heading to it, with ETA.
+// Shared by GET /api/buses/stop/:stopId and the Socket.IO stop rooms.
+// Returns null when the stop does not exist.
+//
+// Bus ETA is the remaining distance along the route (bus → next stop, then the
+// route's segment distances up to this stop) plus dwell time at stops in between.
+// Learned segment run times for the current weekday/hour are blended in when
+// available ('route-historical'), giving an etaRange instead of a bare number.
+// etaMethod is 'route-historical' | 'route-distance', or 'straight-line' when
+// the route can't be used.
+//
+// PASSENGER MODE (when passengerLat/passengerLng provided):
+//   - Walking distance + time calculated passenger → stop (5 km/h walk)
+//   - totalJourneyMinutes = bus ETA + walk time (full door-to-bus time)
+//   - Straight-line fallback ETA targets the passenger position
+//
+// STOP MODE (no passenger coords):
+//   - Bus ETA calculated bus → stop
+//
+// TIMETABLE: buses operating a scheduled trip carry `schedule` with their
+// early/late deviation; `scheduledDepartures` lists upcoming trips at this
+// stop that have no live bus yet.
+//
+// ALERTS: active service alerts for the stop, its routes and the buses listed.
+async function buildStopArrivals(stopId, { passengerLat = null, passengerLng = null } = {}) {
+  const stop = await Stop.findById(stopId).populate('routes');
+  if (!stop) return null;
+
+  const stopLat = stop.location.coordinates[1];
+  const stopLon = stop.location.coordinates[0];
+
+  // --- Optional passenger location ---
+  const pLat = passengerLat;
+  const pLng = passengerLng;
+  const hasPassenger = pLat !== null && pLng !== null && !isNaN(pLat) && !isNaN(pLng);
+
+  // Walking: passenger → stop at 5 km/h
+  let walkingDistanceKm = 0;
+  let walkingMinutes    = 0;
+  if (hasPassenger) {
+    walkingDistanceKm = Math.round(haversineDistance(pLat, pLng, stopLat, stopLon) * 100) / 100;
+    walkingMinutes    = Math.ceil((walkingDistanceKm / WALKING_SPEED_KMH) * 60);
+  }
+
+  // Bus ETA target: passenger position if available, else the stop itself
+  const etaTargetLat = hasPassenger ? pLat : stopLat;
+  const etaTargetLon = hasPassenger ? pLng : stopLon;
+
+  const routeIds = stop.routes.map(r => r._id);
+  const buses = await Bus.find({
+    ...liveFilter(),
+    route: { $in: routeIds }
+  }).populate({
+    path: 'route',
+    populate: { path: 'stops.stop' }
+  }).populate('driver', 'name').populate('currentTrip');
+
+  const busesWithETA = [];
+  const statsByRoute = new Map(); // routeId → learned segment times, loaded once per route
+
+  for (const bus of buses) {
+    const route = bus.route;
+    if (!route || !route.stops) continue;
+
+    const targetStopInRoute = route.stops.find(
+      s => s.stop && s.stop._id.toString() === stopId.toString()
+    );
+    if (!targetStopInRoute) continue;
+    if (targetStopInRoute.order < bus.nextStopIndex) continue;
+
+    const busLat = bus.currentLocation.coordinates[1];
+    const busLon = bus.currentLocation.coordinates[0];
+
+    // Primary ETA: along the route to the stop, straight line as a fallback
+    const stops = orderedStops(route);
+    const targetPos = stops.findIndex(s => s.stop._id.toString() === stopId.toString());
+    const routeKey = route._id.toString();
+    if (!statsByRoute.has(routeKey)) statsByRoute.set(routeKey, await getSegmentStats(route._id));
+    const eta = (targetPos !== -1 && calculateRouteETA(bus, stops, targetPos, statsByRoute.get(routeKey)))
+      || calculateETA(busLat, busLon, etaTargetLat, etaTargetLon, bus.speed);
+    const { distanceKm, etaMinutes, etaMethod } = eta;
+
+    // Timetable adherence: predicted vs scheduled arrival at this stop
+    let schedule = null;
+    const trip = bus.currentTrip;
+    const scheduledHere = trip && bus.tripServiceDate && stopTimeAt(trip, targetStopInRoute.order);
+    if (scheduledHere) {
+      const scheduledArrival = serviceTimeToDate(bus.tripServiceDate, scheduledHere.arrival);
+      const deviationMinutes = Math.round((Date.now() + etaMinutes * 60 * 1000 - scheduledArrival) / 60000);
+      schedule = {
+        tripId: trip.tripCode,
+        headsign: trip.headsign,
+        scheduledArrival,
+        scheduledDeparture: serviceTimeToDate(bus.tripServiceDate, scheduledHere.departure),
+        deviationMinutes,             // + late / - early
+        adherence: adherenceStatus(deviationMinutes),
+      };
+    }
+
+    // Always also calculate bus → stop distance for display
+    const distanceToStop = Math.round(haversineDistance(busLat, busLon, stopLat, stopLon) * 100) / 100;
+
+    // Full journey time a passenger experiences: wait for bus + walk to stop
+    const totalJourneyMinutes = hasPassenger ? etaMinutes + walkingMinutes : etaMinutes;
+
+    const routePolyline = stops.map(s => ({
+      name: s.stop.name,
+      stopCode: s.stop.stopCode,
+      order: s.order,
+      lat: s.stop.location.coordinates[1],
+      lng: s.stop.location.coordinates[0],
+      isScannedStop: s.stop._id.toString() === stopId.toString(),
+      isPassed: s.order < bus.nextStopIndex,
+    }));
+
+    const occupancy = currentOccupancy(bus);
+
+    busesWithETA.push({
+      _id: bus._id,
+      busNumber: bus.busNumber,
+      busName: bus.busName,
+      routeName: route.name,
+      routeNumber: route.routeNumber,
+      driver: bus.driver?.name || 'Unknown',
+      currentLocation: bus.currentLocation,
+      speed: bus.speed,
+      distanceKm,           // along the route to the stop (straight line when etaMethod says so)
+      distanceToStop,        // bus → stop in a straight line (always)
+      etaMinutes,            // best estimate of the bus ETA to the stop
+      etaRange: eta.etaRange || { min: etaMinutes, max: etaMinutes }, // e.g. { min: 6, max: 9 }
+      etaConfidence: eta.etaConfidence || 'low',
+      dwellMinutes: eta.dwellMinutes || 0, // included in etaMinutes
+      etaMethod,             // 'route-historical' | 'route-distance' | 'straight-line'
+      totalJourneyMinutes,   // full passenger journey time
+      status: bus.status,     // in_service | idle
+      lastUpdated: bus.lastUpdated,
+      stopsAway: targetStopInRoute.order - bus.nextStopIndex,
+      schedule,              // null when the bus isn't running a timetabled trip
+      occupancy,             // null when no recent load report
+      isFull: occupancy?.isFull || false,
+      routePolyline,
+    });
+  }
+
+  busesWithETA.sort((a, b) => a.etaMinutes - b.etaMinutes);
+
+  // Point passengers at a full bus towards the next one that has room
+  busesWithETA.forEach((b, i) => {
+    if (!b.isFull) return;
+    const next = busesWithETA.slice(i + 1).find(other => !other.isFull);
+    b.nextAvailableBus = next
+      ? { _id: next._id, busNumber: next.busNumber, routeNumber: next.routeNumber, etaMinutes: next.etaMinutes }
+      : null;
+  });
+
+  // Timetabled trips due here that no live bus is operating
+  const liveTrips = new Set(buses.filter(b => b.currentTrip).map(b => b.currentTrip._id.toString()));
+  const departures = await upcomingStopDepartures(stop._id);
+  const scheduledDepartures = departures
+    .filter(d => !liveTrips.has(d.trip._id.toString()))
+    .map(d => ({
+      tripId: d.trip.tripCode,
+      headsign: d.trip.headsign,
+      routeName: d.trip.route?.name,
+      routeNumber: d.trip.route?.routeNumber,
+      scheduledArrival: d.arrival,
+      scheduledDeparture: d.departure,
+      minutesUntil: Math.max(0, Math.round((d.departure - Date.now()) / 60000)),
+    }));
+
+  const alerts = await activeAlertsFor({ routes: routeIds, stops: [stop._id], buses: buses.map(b => b._id) });
+
+  return {
+    stop: {
+      _id: stop._id,
+      name: stop.name,
+      stopCode: stop.stopCode,
+      address: stop.address,
+      lat: stopLat,
+      lng: stopLon,
+    },
+    passenger: hasPassenger
+      ? { lat: pLat, lng: pLng, walkingDistanceKm, walkingMinutes }
+      : null,
+    buses: busesWithETA,
+    scheduledDepartures,
+    alerts,
+  };
+}
+
+module.exports = { buildStopArrivals };
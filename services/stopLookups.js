@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const StopLookup = require('../models/StopLookup');
+
+// Demand signal from passengers looking up stops. Events are anonymous:
+//   - the origin is rounded to ORIGIN_DECIMALS (3 ≈ 110 m)
+//   - one client looking at the same stop within DEDUPE_MINUTES (the stop page
+//     plus its self-refreshing arrivals board) counts once; the key for that lives
+//     only in memory, as a hash, and is never written to the database
+const ORIGIN_DECIMALS = 3;
+const DEDUPE_MINUTES = Number(process.env.STOP_LOOKUP_DEDUPE_MINUTES) || 10;
+
+const recent = new Map(); // client+stop hash → { expiresAt, lookupId, hasPassengerLocation }
+
+const roundTo = (n, decimals) => Math.round(n * 10 ** decimals) / 10 ** decimals;
+
+const clientKey = (req, stopId) => crypto.createHash('sha256')
+  .update(`${req.ip}|${req.get('user-agent') || ''}|${stopId}`)
+  .digest('base64url');
+
+// Forget expired keys so the map stays small
+const sweep = setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of recent) if (entry.expiresAt <= now) recent.delete(key);
+}, 60 * 1000);
+sweep.unref();
+
+// Record a lookup of `stopId` made by `req`. Fire-and-forget: never throws, never delays the response.
+function recordStopLookup(req, stopId, { source, passengerLat = null, passengerLng = null, walkingDistanceKm } = {}) {
+  const now = Date.now();
+  const hasPassengerLocation = Number.isFinite(passengerLat) && Number.isFinite(passengerLng);
+  const location = hasPassengerLocation
+    ? {
+      hasPassengerLocation,
+      origin: { type: 'Point', coordinates: [roundTo(passengerLng, ORIGIN_DECIMALS), roundTo(passengerLat, ORIGIN_DECIMALS)] },
+      walkingDistanceKm
+    }
+    : {};
+
+  const key = clientKey(req, stopId);
+  const seen = recent.get(key);
+  if (seen && seen.expiresAt > now) {
+    // Same visit — only fill in the origin if this request is the first to share one
+    if (hasPassengerLocation && !seen.hasPassengerLocation) {
+      seen.hasPassengerLocation = true;
+      StopLookup.updateOne({ _id: seen.lookupId }, location)
+        .catch(err => console.error('Stop lookup not updated:', err.message));
+    }
+    return;
+  }
+
+  const lookup = new StopLookup({ stop: stopId, source, ...location, recordedAt: new Date(now) });
+  recent.set(key, { expiresAt: now + DEDUPE_MINUTES * 60 * 1000, lookupId: lookup._id, hasPassengerLocation });
+  lookup.save().catch(err => console.error('Stop lookup not recorded:', err.message));
+}
+
+module.exports = { ORIGIN_DECIMALS, recordStopLookup };
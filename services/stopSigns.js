@@ -0,0 +1,107 @@
+const PDFDocument = require('pdfkit');
+const { renderStopQr, stopUrl } = require('./qr');
+
+// Print-ready stop signs: name, code, QR and the routes serving the stop.
+// 1, 2 or 4 signs per page; each sign has a dashed cut line around it.
+const PAGE_SIZES = ['A4', 'A3', 'LETTER'];
+const SIGNS_PER_PAGE = [1, 2, 4];
+
+const PAGE_MARGIN = 24;
+const INK = '#1a1a2e';
+const MUTED = '#555555';
+
+// Grid for n signs on a portrait page: [columns, rows]
+const GRID = { 1: [1, 1], 2: [1, 2], 4: [2, 2] };
+
+// Routes as "19C  Central – Airport", sorted by number
+const routeLines = (stop) => (stop.routes || [])
+  .filter(r => r && r.routeNumber)
+  .sort((a, b) => a.routeNumber.localeCompare(b.routeNumber, undefined, { numeric: true }))
+  .map(r => `${r.routeNumber}   ${r.name || ''}`.trim());
+
+function drawSign(doc, stop, qrPng, { x, y, width, height }) {
+  // Text scales with the sign so 4-up sheets stay legible without overflowing
+  const scale = Math.min(width / 547, height / 794) * 1.4;
+  const pad = 18 * scale;
+  const inner = width - 2 * pad;
+
+  doc.save()
+    .dash(4, { space: 4 })
+    .lineWidth(0.5)
+    .strokeColor('#999999')
+    .rect(x, y, width, height)
+    .stroke()
+    .undash()
+    .restore();
+
+  // Header band
+  const bandHeight = 40 * scale;
+  doc.rect(x + pad, y + pad, inner, bandHeight).fill(INK);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22 * scale)
+    .text('BUS STOP', x + pad, y + pad + (bandHeight - 22 * scale) / 2 + 2 * scale, { width: inner, align: 'center' });
+
+  let cursor = y + pad + bandHeight + 14 * scale;
+  doc.fillColor(INK).font('Helvetica-Bold').fontSize(30 * scale)
+    .text(stop.name, x + pad, cursor, { width: inner, align: 'center', height: 76 * scale, ellipsis: true });
+  cursor = doc.y + 4 * scale;
+  doc.fillColor(MUTED).font('Helvetica').fontSize(14 * scale)
+    .text(`Stop ${stop.stopCode}`, x + pad, cursor, { width: inner, align: 'center' });
+  cursor = doc.y + 12 * scale;
+
+  // QR takes what is left after keeping room for the routes and footer
+  const footerHeight = 34 * scale;
+  const routesHeight = Math.min(120 * scale, (y + height - pad - footerHeight - cursor) * 0.3);
+  const qrSize = Math.max(0, Math.min(inner * 0.75, y + height - pad - footerHeight - routesHeight - cursor - 20 * scale));
+  doc.image(qrPng, x + (width - qrSize) / 2, cursor, { width: qrSize, height: qrSize });
+  cursor += qrSize + 4 * scale;
+  doc.fillColor(INK).font('Helvetica-Bold').fontSize(13 * scale)
+    .text('Scan for live bus arrivals', x + pad, cursor, { width: inner, align: 'center' });
+  cursor = doc.y + 10 * scale;
+
+  const lines = routeLines(stop);
+  if (lines.length) {
+    doc.fillColor(INK).font('Helvetica').fontSize(12 * scale)
+      .text(lines.join('\n'), x + pad, cursor, { width: inner, align: 'center', height: routesHeight, ellipsis: true });
+  }
+
+  doc.fillColor(MUTED).font('Helvetica').fontSize(8 * scale)
+    .text(stopUrl(stop), x + pad, y + height - pad - 10 * scale, { width: inner, align: 'center', lineBreak: false });
+}
+
+// `stops` need routes populated with name and routeNumber. Resolves to the PDF bytes.
+async function buildStopSignsPdf(stops, { pageSize = 'A4', perPage = 1 } = {}) {
+  const qrImages = [];
+  for (const stop of stops) qrImages.push(await renderStopQr(stop, 'png', { size: 800 }));
+
+  const doc = new PDFDocument({
+    size: pageSize,
+    margin: PAGE_MARGIN,
+    autoFirstPage: false,
+    info: { Title: 'Bus stop signs', Creator: 'Bus Tracker' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const [cols, rows] = GRID[perPage];
+  stops.forEach((stop, i) => {
+    const slot = i % perPage;
+    if (slot === 0) doc.addPage();
+    const width = (doc.page.width - 2 * PAGE_MARGIN) / cols;
+    const height = (doc.page.height - 2 * PAGE_MARGIN) / rows;
+    drawSign(doc, stop, qrImages[i], {
+      x: PAGE_MARGIN + (slot % cols) * width,
+      y: PAGE_MARGIN + Math.floor(slot / cols) * height,
+      width,
+      height
+    });
+  });
+
+  doc.end();
+  return done;
+}
+
+module.exports = { PAGE_SIZES, SIGNS_PER_PAGE, buildStopSignsPdf };
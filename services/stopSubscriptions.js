@@ -0,0 +1,77 @@
+const Route = require('../models/Route');
+const StopSubscription = require('../models/StopSubscription');
+const { orderedStops, calculateRouteETA } = require('../utils/eta');
+const { getSegmentStats } = require('./segmentStats');
+const { notify } = require('./notifier');
+
+// Check a bus's fresh position against the active "notify me" subscriptions
+// for the stops still ahead of it, and notify each passenger once.
+// Called after every accepted location fix; never throws.
+async function evaluateStopSubscriptions(bus) {
+  try {
+    const routeId = bus.route?._id || bus.route;
+    if (!routeId) return;
+
+    const route = await Route.findById(routeId).populate('stops.stop');
+    if (!route) return;
+    const stops = orderedStops(route);
+    const ahead = stops.filter(s => s.order >= bus.nextStopIndex);
+    if (!ahead.length) return;
+
+    const subscriptions = await StopSubscription.find({
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      stop: { $in: ahead.map(s => s.stop._id) },
+      $or: [{ route: null }, { route: route._id }]
+    });
+    if (!subscriptions.length) return;
+
+    const stats = await getSegmentStats(route._id);
+    for (const sub of subscriptions) {
+      const pos = stops.findIndex(s => s.stop._id.toString() === sub.stop.toString());
+      const eta = calculateRouteETA(bus, stops, pos, stats);
+      if (!eta) continue;
+      const stopsAway = stops[pos].order - bus.nextStopIndex;
+
+      const dueByTime = sub.thresholdMinutes !== undefined && eta.etaMinutes <= sub.thresholdMinutes;
+      const dueByStops = sub.thresholdStops !== undefined && stopsAway <= sub.thresholdStops;
+      if (!dueByTime && !dueByStops) continue;
+
+      await fire(sub, bus, route, stops[pos].stop, { etaMinutes: eta.etaMinutes, stopsAway });
+    }
+  } catch (err) {
+    console.error('Stop subscription evaluation failed:', err.message);
+  }
+}
+
+async function fire(sub, bus, route, stop, { etaMinutes, stopsAway }) {
+  // Claim first so two location fixes racing can't notify twice
+  const claimed = await StopSubscription.findOneAndUpdate(
+    { _id: sub._id, status: 'active' },
+    { status: 'notified', notifiedAt: new Date(), notifiedBus: bus._id, notifiedEtaMinutes: etaMinutes },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  const when = etaMinutes <= 1 ? 'arriving now' : `about ${etaMinutes} min away`;
+  const message = {
+    title: `Bus ${route.routeNumber} is ${when}`,
+    body: `${bus.busName || bus.busNumber} is ${stopsAway === 0 ? 'next at' : `${stopsAway} stop(s) from`} ${stop.name}.`,
+    data: {
+      subscriptionId: sub._id,
+      stopId: stop._id,
+      busId: bus._id,
+      routeNumber: route.routeNumber,
+      etaMinutes,
+      stopsAway,
+    },
+  };
+
+  try {
+    await notify(claimed.channel, claimed.target, message);
+  } catch (err) {
+    await StopSubscription.updateOne({ _id: sub._id }, { status: 'failed', error: err.message });
+  }
+}
+
+module.exports = { evaluateStopSubscriptions };
@@ -0,0 +1,139 @@
+const Bus = require('../models/Bus');
+const { busSummary, emitFleetEvent } = require('./events');
+
+// Vehicle status state machine. Bus.status is the single source of truth; the
+// background worker below moves buses along as time passes, so reads never have to.
+//
+//   offline, stale ──fix──▶ in_service
+//   in_service ──no movement for IDLE_AFTER──▶ idle ──moving fix──▶ in_service
+//   in_service, idle ──no fix for STALE_AFTER──▶ stale ──no fix for OFFLINE_AFTER──▶ offline
+//
+// A moving fix takes an idle bus back into service, and end-shift takes any bus
+// offline. out_of_service is set by hand (maintenance, breakdown). Fixes still
+// move the bus on the map, but only releasing it puts it back to offline.
+// Bus.isActive is kept in step (true while in service or idle) for older clients.
+const STATUSES = ['in_service', 'idle', 'stale', 'offline', 'out_of_service'];
+const LIVE_STATUSES = ['in_service', 'idle'];
+
+const STALE_AFTER_SECONDS = Number(process.env.BUS_STALE_SECONDS) || 120;
+const OFFLINE_AFTER_SECONDS = Number(process.env.BUS_OFFLINE_SECONDS) || 15 * 60;
+const IDLE_AFTER_SECONDS = Number(process.env.BUS_IDLE_SECONDS) || 5 * 60;
+// A fix slower than this that also stays within IDLE_RADIUS_M counts as standing still
+const IDLE_SPEED_KMH = Number(process.env.BUS_IDLE_SPEED_KMH) || 3;
+const IDLE_RADIUS_M = 30;
+const SWEEP_INTERVAL_MS = (Number(process.env.VEHICLE_STATUS_SWEEP_SECONDS) || 15) * 1000;
+
+const isLive = (status) => LIVE_STATUSES.includes(status);
+
+// Query filter for buses shown as running — use it instead of { isActive: true }
+const liveFilter = () => ({ status: { $in: LIVE_STATUSES } });
+
+// Move a bus to `to` (caller saves). → { from, to, reason } or null when nothing changed
+function transition(bus, to, { reason, at = new Date() } = {}) {
+  const from = bus.status;
+  if (from === to) return null;
+  bus.status = to;
+  bus.statusChangedAt = at;
+  bus.isActive = isLive(to);
+  return { from, to, reason };
+}
+
+// Status side of an accepted location fix (caller saves).
+// `movedMeters` is the distance from the previous fix, when there was one.
+function applyFixStatus(bus, { speed = 0, movedMeters = 0, at = new Date() }) {
+  const moving = speed >= IDLE_SPEED_KMH || movedMeters >= IDLE_RADIUS_M;
+  const wasLive = isLive(bus.status);
+  // A bus coming back gets a full IDLE_AFTER before it can be called idle
+  if (moving || !wasLive) bus.lastMovedAt = at;
+
+  if (bus.status === 'out_of_service') return null;
+  if (bus.status === 'idle' && !moving) return null;
+  return transition(bus, 'in_service', { reason: 'location_fix', at });
+}
+
+// Fleet events for a transition: always bus.status_changed, plus the older
+// bus.online / bus.stale / bus.offline events webhook consumers already rely on
+function announceTransition(bus, change) {
+  if (!change) return;
+  const summary = busSummary(bus);
+  emitFleetEvent('bus.status_changed', { ...summary, from: change.from, to: change.to, reason: change.reason });
+  if (isLive(change.to) && !isLive(change.from)) emitFleetEvent('bus.online', summary);
+  else if (change.to === 'stale') emitFleetEvent('bus.stale', summary);
+  else if (change.to === 'offline') emitFleetEvent('bus.offline', summary);
+}
+
+// Time-based transitions, applied in this order on every sweep
+const timedTransitions = (now) => [
+  { from: LIVE_STATUSES, to: 'stale', reason: 'no_fix', field: 'lastUpdated', seconds: STALE_AFTER_SECONDS },
+  { from: ['stale'], to: 'offline', reason: 'no_fix', field: 'lastUpdated', seconds: OFFLINE_AFTER_SECONDS },
+  { from: ['in_service'], to: 'idle', reason: 'stationary', field: 'lastMovedAt', seconds: IDLE_AFTER_SECONDS },
+].map(t => ({ ...t, cutoff: new Date(now.getTime() - t.seconds * 1000) }));
+
+// One pass of the worker. Every bus is claimed individually, so an overlapping
+// sweep (or another instance) never announces the same transition twice.
+async function sweepVehicleStatus(now = new Date()) {
+  const changed = [];
+  for (const rule of timedTransitions(now)) {
+    const filter = { status: { $in: rule.from }, [rule.field]: { $lt: rule.cutoff } };
+    const candidates = await Bus.find(filter, '_id');
+
+    for (const { _id } of candidates) {
+      const previous = await Bus.findOneAndUpdate(
+        { _id, ...filter },
+        { status: rule.to, statusChangedAt: now, isActive: isLive(rule.to) }
+      );
+      if (!previous) continue;
+      const from = previous.status;
+      const bus = previous.set({ status: rule.to, statusChangedAt: now, isActive: isLive(rule.to) });
+      announceTransition(bus, { from, to: rule.to, reason: rule.reason });
+      changed.push(bus);
+    }
+  }
+  return changed;
+}
+
+// Buses saved before Bus.status existed take their status from isActive
+function backfillStatus() {
+  return Bus.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: { $cond: ['$isActive', 'in_service', 'offline'] }, lastMovedAt: '$lastUpdated' } }]
+  );
+}
+
+// Start the background worker. Call once, after MongoDB connects.
+function startVehicleStatusWorker() {
+  let running = false;
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweepVehicleStatus();
+    } catch (err) {
+      console.error('Vehicle status sweep error:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  backfillStatus()
+    .catch(err => console.error('Vehicle status backfill error:', err.message))
+    .then(sweep);
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  STATUSES,
+  LIVE_STATUSES,
+  STALE_AFTER_SECONDS,
+  OFFLINE_AFTER_SECONDS,
+  IDLE_AFTER_SECONDS,
+  IDLE_SPEED_KMH,
+  isLive,
+  liveFilter,
+  transition,
+  applyFixStatus,
+  announceTransition,
+  sweepVehicleStatus,
+  startVehicleStatusWorker
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onFleetEvent } = require('./events');
+
+// Outbound webhooks for fleet events.
+//
+// Every event matching a subscription becomes a WebhookDelivery and is POSTed
+// straight away; failures are retried with exponential backoff
+// (RETRY_BASE_SECONDS × 2^(attempt - 1), capped at MAX_RETRY_DELAY_SECONDS)
+// until MAX_ATTEMPTS, then marked failed. Requests carry:
+//   X-Webhook-Id         event id — the same across retries, use it to dedupe
+//   X-Webhook-Event      event type, e.g. bus.arrived
+//   X-Webhook-Timestamp  unix seconds of this attempt
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the webhook secret>
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_POLL_MS = 15000;
+// An attempt in flight holds the delivery this long so the retry poller skips it
+const ATTEMPT_LEASE_MS = 60000;
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const retryDelaySeconds = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_DELAY_SECONDS);
+
+async function post(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const res = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BusTracker-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    return { ok: res.ok, responseStatus: res.status, error: res.ok ? undefined : `Responded ${res.status}` };
+  } catch (err) {
+    return { ok: false, error: err.name === 'TimeoutError' ? 'Timed out' : err.message };
+  }
+}
+
+// Make one attempt at a pending delivery. Claims it first, so the immediate
+// send and the retry poller never post the same attempt twice.
+async function attemptDelivery(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $inc: { attempts: 1 }, lastAttemptAt: now, nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await WebhookSubscription.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.lastError = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const result = await post(webhook, delivery);
+  delivery.responseStatus = result.responseStatus;
+  delivery.lastError = result.error;
+  if (result.ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelaySeconds(delivery.attempts) * 1000);
+  }
+  return delivery.save();
+}
+
+// Queue `event` ({ id, type, occurredAt, data }) for the given webhooks and send it
+async function deliverEvent(webhooks, event) {
+  if (!webhooks.length) return [];
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    eventId: event.id,
+    eventType: event.type,
+    payload: event
+  })));
+  return Promise.all(deliveries.map(d => attemptDelivery(d._id)));
+}
+
+async function handleFleetEvent(event) {
+  const webhooks = await WebhookSubscription.find({ isActive: true, events: { $in: [event.type, '*'] } }, '_id');
+  await deliverEvent(webhooks, event);
+}
+
+// Deliveries whose backoff has elapsed (and attempts whose lease expired)
+async function retryDueDeliveries() {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }, '_id')
+    .sort({ nextAttemptAt: 1 })
+    .limit(50);
+  for (const { _id } of due) {
+    await attemptDelivery(_id);
+  }
+}
+
+// A `ping` to one webhook, so an integrator can check their endpoint and signature code
+async function sendTestEvent(webhook) {
+  const event = {
+    id: crypto.randomUUID(),
+    type: 'ping',
+    occurredAt: new Date().toISOString(),
+    data: { webhookId: webhook._id, name: webhook.name }
+  };
+  const [delivery] = await deliverEvent([webhook], event);
+  return delivery;
+}
+
+// Send a delivery again from scratch, whatever its status
+async function redeliver(deliveryId) {
+  const delivery = await WebhookDelivery.findByIdAndUpdate(
+    deliveryId,
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), $unset: { deliveredAt: 1, lastError: 1, responseStatus: 1 } },
+    { new: true }
+  );
+  if (!delivery) return null;
+  return attemptDelivery(delivery._id);
+}
+
+// Listen for fleet events and start the retry poller. Call once, after MongoDB connects.
+function startWebhookDispatcher() {
+  onFleetEvent(handleFleetEvent);
+  const timer = setInterval(() => {
+    retryDueDeliveries().catch(err => console.error('Webhook retry error:', err.message));
+  }, RETRY_POLL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  newSecret,
+  sign,
+  retryDelaySeconds,
+  sendTestEvent,
+  redeliver,
+  startWebhookDispatcher
+};
@@ -0,0 +1,58 @@
+// Minimal RFC 4180 CSV helpers (quoted fields, embedded commas/newlines, CRLF, BOM)
+
+// Parse CSV text into an array of objects keyed by the header row
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const [header, ...data] = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return data.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+// Spreadsheet apps evaluate text cells starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value, spreadsheetSafe = false) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  // Numbers stay numbers (a negative delay is not a formula); text gets a leading ' and quotes
+  if (spreadsheetSafe && typeof value === 'string' && FORMULA_START.test(str)) return `"'${str.replace(/"/g, '""')}"`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Serialise objects to CSV. `columns` fixes the header order (defaults to the first row's keys).
+// Pass { spreadsheetSafe: true } for files meant to be opened in Excel and friends;
+// leave it off for machine-read formats such as GTFS, which must stay byte-for-byte.
+function toCsv(rows, columns = rows.length ? Object.keys(rows[0]) : [], { spreadsheetSafe = false } = {}) {
+  const escape = (value) => escapeField(value, spreadsheetSafe);
+  const lines = [columns.map(escape).join(',')];
+  for (const row of rows) lines.push(columns.map(c => escape(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
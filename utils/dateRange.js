@@ -0,0 +1,15 @@
+// Parse ?from=&to= query params into Dates.
+// Missing `to` defaults to now, missing `from` to `defaultHours` before `to`.
+// Returns null if either value is not a valid date or from > to.
+function parseDateRange(query, { defaultHours = 24 } = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultHours * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to) || from > to) return null;
+  return { from, to };
+}
+
+// Server's local zone — what utils/serviceTime.js uses for service days.
+// Aggregations bucketing by hour/day pass this to $hour / $dateToString.
+const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+module.exports = { parseDateRange, LOCAL_TIMEZONE };
@@ -0,0 +1,134 @@
+const { haversineDistance } = require('./geo');
+
+// Fallback cruising speed when the bus is stopped or crawling (km/h)
+const FALLBACK_SPEED_KMH = 20;
+// Passenger walking speed (km/h)
+const WALKING_SPEED_KMH = 5;
+// Default time a bus spends at each intermediate stop, unless the route stop sets its own
+const DEFAULT_DWELL_SECONDS = Number(process.env.STOP_DWELL_SECONDS) || 30;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const effectiveSpeed = (speedKmh) => (speedKmh > 5 ? speedKmh : FALLBACK_SPEED_KMH);
+
+// Route stops with a located Stop, in travel order
+function orderedStops(route) {
+  return (route.stops || [])
+    .filter(s => s.stop && s.stop.location)
+    .sort((a, b) => a.order - b.order);
+}
+
+// Length of the segment ending at stops[pos]. Uses the entered distanceFromPrev,
+// or the straight line between the two stops when it was left at 0.
+function segmentDistanceKm(stops, pos) {
+  if (pos === 0) return 0;
+  if (stops[pos].distanceFromPrev > 0) return stops[pos].distanceFromPrev;
+  const [lng1, lat1] = stops[pos - 1].stop.location.coordinates;
+  const [lng2, lat2] = stops[pos].stop.location.coordinates;
+  return haversineDistance(lat1, lng1, lat2, lng2);
+}
+
+const dwellSeconds = (routeStop) =>
+  routeStop.dwellSeconds ?? DEFAULT_DWELL_SECONDS;
+
+// Straight-line ETA from the bus to any point
+function calculateETA(busLat, busLon, targetLat, targetLon, speedKmh) {
+  const distance = haversineDistance(busLat, busLon, targetLat, targetLon);
+  const timeHours = distance / effectiveSpeed(speedKmh);
+  return {
+    distanceKm: round2(distance),
+    etaMinutes: Math.round(timeHours * 60),
+    etaMethod: 'straight-line'
+  };
+}
+
+// How much a learned segment time counts against the live-speed estimate.
+// The segment the bus is on right now leans more on live speed.
+const HISTORY_WEIGHT = 0.7;
+const CURRENT_SEGMENT_HISTORY_WEIGHT = 0.5;
+// Relative spread assumed for a live-speed-only estimate
+const LIVE_UNCERTAINTY = 0.25;
+// z-score of the reported range (≈ 80% interval)
+const RANGE_Z = 1.28;
+
+// ETA along the route: bus → next stop in a straight line, then the summed
+// segment distances up to the target stop, plus dwell time at every stop in between.
+// `stops` must come from orderedStops(); `targetPos` is an index into it.
+//
+// `segmentStats` (Map<toIndex, { mean, std }> in seconds, see services/segmentStats.js)
+// blends learned run times for this weekday/hour with the bus's smoothed speed.
+// The result carries etaMinutes plus an etaRange { min, max } for display.
+function calculateRouteETA(bus, stops, targetPos, segmentStats = new Map()) {
+  const [busLon, busLat] = bus.currentLocation.coordinates;
+  const nextPos = stops.findIndex(s => s.order >= bus.nextStopIndex);
+  if (nextPos === -1 || nextPos > targetPos) return null;
+
+  const atNextStop = bus.atStopIndex !== null && bus.atStopIndex !== undefined
+    && bus.atStopIndex === stops[nextPos].order;
+  const speedKmh = effectiveSpeed(bus.avgSpeed || bus.speed);
+
+  let distanceKm = 0;
+  let driveSeconds = 0;
+  let variance = 0;
+  let dwell = 0;
+  let learnedSegments = 0;
+  let segments = 0;
+
+  for (let pos = nextPos; pos <= targetPos; pos++) {
+    if (pos > nextPos) dwell += dwellSeconds(stops[pos - 1]);
+
+    // Distance still to drive on the segment ending at stops[pos]
+    let km;
+    if (pos === nextPos) {
+      if (atNextStop) continue;
+      const [nextLng, nextLat] = stops[pos].stop.location.coordinates;
+      km = haversineDistance(busLat, busLon, nextLat, nextLng);
+    } else {
+      km = segmentDistanceKm(stops, pos);
+    }
+    distanceKm += km;
+    segments++;
+
+    const liveSeconds = (km / speedKmh) * 3600;
+    const learned = pos > 0 ? segmentStats.get(stops[pos].order) : null;
+    if (learned) {
+      // Only the remaining fraction of the segment the bus is already on
+      const fullKm = segmentDistanceKm(stops, pos);
+      const fraction = pos === nextPos && fullKm > 0 ? Math.min(1, km / fullKm) : 1;
+      const w = pos === nextPos ? CURRENT_SEGMENT_HISTORY_WEIGHT : HISTORY_WEIGHT;
+      driveSeconds += w * learned.mean * fraction + (1 - w) * liveSeconds;
+      variance += (w * learned.std * fraction) ** 2 + ((1 - w) * liveSeconds * LIVE_UNCERTAINTY) ** 2;
+      learnedSegments++;
+    } else {
+      driveSeconds += liveSeconds;
+      variance += (liveSeconds * LIVE_UNCERTAINTY) ** 2;
+    }
+  }
+
+  const totalMinutes = (driveSeconds + dwell) / 60;
+  const spreadMinutes = (RANGE_Z * Math.sqrt(variance)) / 60;
+  const coverage = segments ? learnedSegments / segments : 1;
+
+  return {
+    distanceKm: round2(distanceKm),
+    etaMinutes: Math.round(totalMinutes),
+    etaRange: {
+      min: Math.max(0, Math.floor(totalMinutes - spreadMinutes)),
+      max: Math.ceil(totalMinutes + spreadMinutes)
+    },
+    etaConfidence: coverage >= 0.75 ? 'high' : coverage > 0 ? 'medium' : 'low',
+    dwellMinutes: round2(dwell / 60),
+    etaMethod: learnedSegments ? 'route-historical' : 'route-distance'
+  };
+}
+
+module.exports = {
+  FALLBACK_SPEED_KMH,
+  WALKING_SPEED_KMH,
+  DEFAULT_DWELL_SECONDS,
+  orderedStops,
+  segmentDistanceKm,
+  dwellSeconds,
+  calculateETA,
+  calculateRouteETA
+};
@@ -0,0 +1,55 @@
+// Haversine formula - calculate distance between two lat/lng points in km
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Shortest distance in metres from a point to a polyline, both as [lng, lat].
+// Uses a local flat projection around the point — accurate to well under a
+// metre at corridor scales (a few km). Infinity for an empty line.
+function distanceToPolylineMeters(point, line) {
+  const [lng0, lat0] = point;
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos((lat0 * Math.PI) / 180);
+  const project = ([lng, lat]) => [(lng - lng0) * mPerDegLng, (lat - lat0) * mPerDegLat];
+
+  if (line.length === 1) return Math.hypot(...project(line[0]));
+  let best = Infinity;
+  for (let i = 1; i < line.length; i++) {
+    const [ax, ay] = project(line[i - 1]);
+    const [bx, by] = project(line[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    // Position of the closest point along the segment, clamped to its ends
+    const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return best;
+}
+
+// Parse ?lat=&lng=&radius=&limit=&activeOnly= for the /nearby endpoints.
+// radius is in metres. Returns null when lat/lng are missing or out of range.
+function parseNearbyQuery(query, { defaultRadius = 1000, maxRadius = 5000, defaultLimit = 20, maxLimit = 100 } = {}) {
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+  return {
+    lat,
+    lng,
+    radius: Math.min(parseFloat(query.radius) || defaultRadius, maxRadius),
+    limit: Math.min(parseInt(query.limit) || defaultLimit, maxLimit),
+    activeOnly: query.activeOnly !== 'false',
+  };
+}
+
+module.exports = { haversineDistance, distanceToPolylineMeters, parseNearbyQuery };
@@ -0,0 +1,33 @@
+// Error carrying an HTTP status, turned into the standard error envelope
+// { message, code, details? } by middleware/errorHandler.js
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = ERROR_CODES[status] || 'ERROR';
+    if (details) this.details = details;
+  }
+}
+
+const badRequest = (message, details) => new HttpError(400, message, details);
+const unauthorized = (message) => new HttpError(401, message);
+const forbidden = (message, details) => new HttpError(403, message, details);
+const notFound = (message) => new HttpError(404, message);
+const conflict = (message, details) => new HttpError(409, message, details);
+const unprocessable = (message, details) => new HttpError(422, message, details);
+
+module.exports = { ERROR_CODES, HttpError, badRequest, unauthorized, forbidden, notFound, conflict, unprocessable };
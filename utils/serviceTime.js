@@ -0,0 +1,33 @@
+// Timetable times are stored as seconds after midnight of the service day.
+// Like GTFS, they may run past 24:00:00 for trips that finish after midnight.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "07:15" or "07:15:30" → seconds after midnight; numbers pass through. NaN if invalid.
+function parseServiceTime(value) {
+  if (typeof value === 'number') return value;
+  const match = /^(\d{1,2}):([0-5]\d)(?::([0-5]\d))?$/.exec(String(value || '').trim());
+  if (!match) return NaN;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+}
+
+// Seconds after midnight → "HH:MM:SS"
+function formatServiceTime(seconds) {
+  const s = Math.round(seconds);
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor((s % 3600) / 60))}:${pad(s % 60)}`;
+}
+
+// Local midnight starting the service day that contains `date`
+function serviceDayStart(date = new Date()) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Seconds after midnight on a service day → Date
+const serviceTimeToDate = (dayStart, seconds) => new Date(dayStart.getTime() + seconds * 1000);
+
+// "YYYY-MM-DD" for a local date — calendar exception keys
+const dateKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+module.exports = { parseServiceTime, formatServiceTime, serviceDayStart, serviceTimeToDate, dateKey };
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { permissionsForRole } = require('../config/permissions');
+
+// The 'secret' fallback is for local development only — refuse to sign
+// production tokens with a key anyone can read in this repo.
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'secret';
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Sign an access token that says which permissions it carries.
+// `tv` is the user's tokenVersion — bumping it invalidates every token already issued.
+function signToken(user) {
+  return jwt.sign(
+    { id: user._id, role: user.role, permissions: permissionsForRole(user.role), tv: user.tokenVersion || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+const verifyToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Opaque random token; only its hash is stored
+const randomToken = () => crypto.randomBytes(48).toString('base64url');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = { ACCESS_TOKEN_TTL, REFRESH_TOKEN_DAYS, signToken, verifyToken, randomToken, hashToken };
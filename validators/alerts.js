@@ -0,0 +1,34 @@
+const ServiceAlert = require('../models/ServiceAlert');
+
+const ids = { type: 'array', items: { type: 'objectId' }, maxItems: 500, default: [] };
+
+const activePeriod = {
+  type: 'object',
+  fields: {
+    start: { type: 'date' },
+    end: { type: 'date' }
+  },
+  check: (p) => p.start && p.end && p.end <= p.start ? 'end must be after start' : undefined
+};
+
+const alertFields = {
+  header: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 4000 },
+  url: { type: 'string', maxLength: 2000, pattern: /^https?:\/\/\S+$/, patternMessage: 'must be a URL' },
+  severity: { type: 'string', enum: ServiceAlert.SEVERITIES },
+  cause: { type: 'string', enum: ServiceAlert.CAUSES },
+  effect: { type: 'string', enum: ServiceAlert.EFFECTS },
+  activePeriods: { type: 'array', items: activePeriod, maxItems: 50, default: [] },
+  routes: ids,
+  stops: ids,
+  buses: ids,
+  isActive: { type: 'boolean' }
+};
+
+const alertsQuery = {
+  route: { type: 'objectId' },
+  stop: { type: 'objectId' },
+  bus: { type: 'objectId' }
+};
+
+module.exports = { alertFields, alertsQuery };
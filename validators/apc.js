@@ -0,0 +1,21 @@
+const { LEVEL_NAMES } = require('../services/occupancy');
+
+// How far ahead of the server a counter's clock may run
+const CLOCK_SKEW_SECONDS = 120;
+
+// One counter reading. Identify the bus by id or by its number plate; send the
+// door counts since the last reading, and/or the on-board count if the unit keeps one.
+const apcCount = {
+  busId: { type: 'objectId' },
+  busNumber: { type: 'string' },
+  boardings: { type: 'integer', min: 0, max: 500 },
+  alightings: { type: 'integer', min: 0, max: 500 },
+  count: { type: 'integer', min: 0, max: 1000 },
+  level: { type: 'string', enum: LEVEL_NAMES },
+  timestamp: {
+    type: 'date',
+    check: (at) => (at.getTime() > Date.now() + CLOCK_SKEW_SECONDS * 1000 ? 'must not be in the future' : null)
+  }
+};
+
+module.exports = { apcCount };
@@ -0,0 +1,13 @@
+const { dateRangeQuery } = require('./common');
+
+const auditQuery = {
+  actor: { type: 'objectId' },
+  entity: { type: 'string' },
+  entityId: { type: 'objectId' },
+  action: { type: 'string' },
+  ...dateRangeQuery,
+  limit: { type: 'integer', min: 1, max: 500 },
+  page: { type: 'integer', min: 1 }
+};
+
+module.exports = { auditQuery };
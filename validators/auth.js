@@ -0,0 +1,29 @@
+const { ROLES } = require('../config/permissions');
+const { phone, password } = require('./common');
+
+const newAccount = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  phone: { ...phone, required: true },
+  password: { ...password, required: true }
+};
+
+const login = {
+  phone: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+const usersQuery = { role: { type: 'string', enum: ROLES } };
+
+const changeRole = { role: { type: 'string', required: true, enum: ROLES } };
+
+const refreshToken = { refreshToken: { type: 'string', required: true } };
+
+const forgotPassword = { phone: { type: 'string', required: true } };
+
+const resetPassword = {
+  phone: { type: 'string', required: true },
+  otp: { type: 'string', required: true, pattern: /^\d{6}$/, patternMessage: 'must be the 6-digit code' },
+  newPassword: { ...password, required: true }
+};
+
+module.exports = { newAccount, login, usersQuery, changeRole, refreshToken, forgotPassword, resetPassword };
@@ -0,0 +1,45 @@
+const { objectId, latitude, longitude, dateRangeQuery, nearbyQuery } = require('./common');
+
+// Fields an admin may set on a bus. Live tracking state (location, speed,
+// status, stop progress) belongs to /api/driver and services/vehicleStatus.js,
+// and `driver` to assign-bus.
+const busFields = {
+  busNumber: { type: 'string', required: true, minLength: 1, maxLength: 30 },
+  busName: { type: 'string', maxLength: 100 },
+  route: objectId,
+  capacity: { type: 'integer', min: 1, max: 500 }
+};
+
+const fleetQuery = {
+  status: { type: 'string', enum: ['in_service', 'idle', 'stale', 'offline', 'out_of_service'] }
+};
+
+// The only statuses set by hand — see services/vehicleStatus.js
+const busStatus = {
+  status: { type: 'string', required: true, enum: ['out_of_service', 'offline'] },
+  note: { type: 'string', maxLength: 500 }
+};
+
+// Buses move, so the search reaches further than the stop search
+const nearbyBusesQuery = nearbyQuery({ maxRadius: 10000 });
+
+const stopParams = { stopId: objectId };
+
+const stopArrivalsQuery = {
+  passengerLat: latitude,
+  passengerLng: longitude
+};
+
+const stopEventsQuery = {
+  ...dateRangeQuery,
+  limit: { type: 'integer', min: 1, max: 1000 }
+};
+
+// A recorded shift, or an explicit from/to window
+const replayQuery = {
+  shiftId: { type: 'objectId' },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+module.exports = { busFields, fleetQuery, busStatus, nearbyBusesQuery, stopParams, stopArrivalsQuery, stopEventsQuery, trackQuery: dateRangeQuery, replayQuery };
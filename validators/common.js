@@ -0,0 +1,34 @@
+// Rules shared by several request schemas (see middleware/validate.js)
+const objectId = { type: 'objectId', required: true };
+
+const idParams = { id: objectId };
+
+const latitude = { type: 'number', min: -90, max: 90 };
+const longitude = { type: 'number', min: -180, max: 180 };
+
+const phone = {
+  type: 'string',
+  pattern: /^\+?[0-9]{10,15}$/,
+  patternMessage: 'must be a valid phone number'
+};
+
+const password = { type: 'string', minLength: 6, maxLength: 128 };
+
+// Optional ?from=ISO&to=ISO window
+const dateRangeQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+// ?lat&lng&radius&limit&routeNumber&activeOnly for the /nearby searches
+// (read by parseNearbyQuery in utils/geo.js). radius is in metres.
+const nearbyQuery = ({ maxRadius = 5000, maxLimit = 100 } = {}) => ({
+  lat: { ...latitude, required: true },
+  lng: { ...longitude, required: true },
+  radius: { type: 'number', min: 1, max: maxRadius },
+  limit: { type: 'integer', min: 1, max: maxLimit },
+  routeNumber: { type: 'string', maxLength: 50 },
+  activeOnly: { type: 'boolean' }
+});
+
+module.exports = { objectId, idParams, latitude, longitude, phone, password, dateRangeQuery, nearbyQuery };
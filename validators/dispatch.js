@@ -0,0 +1,31 @@
+const { dateRangeQuery } = require('./common');
+
+const anomaliesQuery = {
+  bus: { type: 'objectId' },
+  verdict: { type: 'string', enum: ['rejected', 'flagged'] },
+  reason: { type: 'string', enum: ['null_island', 'low_accuracy', 'impossible_jump', 'out_of_order', 'off_route'] },
+  reviewStatus: { type: 'string', enum: ['pending', 'confirmed', 'dismissed'] },
+  ...dateRangeQuery,
+  limit: { type: 'integer', min: 1, max: 500 },
+  page: { type: 'integer', min: 1 }
+};
+
+// confirmed = the fix really was bad (device/driver follow-up); dismissed = false alarm
+const reviewAnomaly = {
+  outcome: { type: 'string', required: true, enum: ['confirmed', 'dismissed'] },
+  note: { type: 'string', maxLength: 1000 }
+};
+
+const fleetAlertsQuery = {
+  status: { type: 'string', enum: ['open', 'acknowledged', 'resolved', 'unresolved'] },
+  type: { type: 'string', enum: ['off_route'] },
+  bus: { type: 'objectId' },
+  limit: { type: 'integer', min: 1, max: 500 },
+  page: { type: 'integer', min: 1 }
+};
+
+const alertNote = {
+  note: { type: 'string', maxLength: 1000 }
+};
+
+module.exports = { anomaliesQuery, reviewAnomaly, fleetAlertsQuery, alertNote };
@@ -0,0 +1,55 @@
+const { objectId, latitude, longitude } = require('./common');
+const { LEVEL_NAMES } = require('../services/occupancy');
+
+const updateLocation = {
+  busId: objectId,
+  latitude: { ...latitude, required: true },
+  longitude: { ...longitude, required: true },
+  speed: { type: 'number', min: 0, max: 200 },
+  heading: { type: 'number', min: 0, max: 360 },
+  accuracy: { type: 'number', min: 0, max: 100000 } // metres, as reported by the device
+};
+
+// Fixes buffered on the phone while it had no signal, uploaded together
+const updateLocationBatch = {
+  busId: objectId,
+  fixes: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: 500,
+    items: {
+      type: 'object',
+      fields: {
+        seq: { type: 'integer', min: 0 },                  // client counter, used to acknowledge fixes
+        recordedAt: { type: 'date', required: true },      // device time the fix was taken (ISO or epoch ms)
+        latitude: { ...latitude, required: true },
+        longitude: { ...longitude, required: true },
+        speed: updateLocation.speed,
+        heading: updateLocation.heading,
+        accuracy: updateLocation.accuracy
+      }
+    }
+  }
+};
+
+const startShift = {
+  busId: objectId,
+  tripId: { type: 'string' } // Trip _id or tripCode
+};
+
+const endShift = { busId: objectId };
+
+// A head count, a level, or both
+const reportOccupancy = {
+  busId: objectId,
+  count: { type: 'integer', min: 0, max: 1000 },
+  level: { type: 'string', enum: LEVEL_NAMES }
+};
+
+const assignBus = {
+  driverId: objectId,
+  busId: { type: 'objectId', required: false, nullable: true } // null unassigns
+};
+
+module.exports = { updateLocation, updateLocationBatch, reportOccupancy, startShift, endShift, assignBus };
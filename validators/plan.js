@@ -0,0 +1,12 @@
+const { latitude, longitude } = require('./common');
+
+const planQuery = {
+  fromLat: { ...latitude, required: true },
+  fromLng: { ...longitude, required: true },
+  toLat: { ...latitude, required: true },
+  toLng: { ...longitude, required: true },
+  maxWalkKm: { type: 'number', min: 0.1, max: 3 },
+  maxTransfers: { type: 'integer', min: 0 }
+};
+
+module.exports = { planQuery };
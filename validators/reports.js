@@ -0,0 +1,51 @@
+const { dateRangeQuery } = require('./common');
+
+const loadFactorQuery = {
+  ...dateRangeQuery,
+  route: { type: 'objectId' }
+};
+
+const stopDemandQuery = {
+  ...dateRangeQuery,
+  limit: { type: 'integer', min: 1, max: 500 }
+};
+
+const stopDemandHourlyQuery = {
+  ...dateRangeQuery,
+  stop: { type: 'objectId' }
+};
+
+const stopDemandHeatmapQuery = {
+  ...dateRangeQuery,
+  stop: { type: 'objectId' },
+  cellDecimals: { type: 'integer', enum: [2, 3] } // 2 ≈ 1.1 km cells, 3 ≈ 110 m
+};
+
+// Fleet operations reports — JSON by default, ?format=csv to download
+const format = { type: 'string', enum: ['json', 'csv'] };
+
+const fleetReportQuery = {
+  ...dateRangeQuery,
+  route: { type: 'objectId' },
+  bus: { type: 'objectId' },
+  driver: { type: 'objectId' },
+  format
+};
+
+// Stop events don't record the driver
+const onTimeQuery = {
+  ...dateRangeQuery,
+  route: { type: 'objectId' },
+  bus: { type: 'objectId' },
+  groupBy: { type: 'string', enum: ['route', 'stop'] },
+  format
+};
+
+module.exports = {
+  loadFactorQuery,
+  stopDemandQuery,
+  stopDemandHourlyQuery,
+  stopDemandHeatmapQuery,
+  fleetReportQuery,
+  onTimeQuery
+};
@@ -0,0 +1,33 @@
+const { objectId } = require('./common');
+
+const routeStop = {
+  type: 'object',
+  fields: {
+    stop: objectId,
+    order: { type: 'integer', required: true, min: 0 },
+    distanceFromPrev: { type: 'number', min: 0 },
+    dwellSeconds: { type: 'integer', min: 0, max: 3600 }
+  }
+};
+
+const routeFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  routeNumber: { type: 'string', required: true, minLength: 1, maxLength: 20 },
+  description: { type: 'string', maxLength: 1000 },
+  stops: {
+    type: 'array',
+    items: routeStop,
+    default: [],
+    check: (stops) => new Set(stops.map(s => s?.order)).size !== stops.length
+      ? 'must not repeat an order'
+      : undefined
+  },
+  isActive: { type: 'boolean' }
+};
+
+const segmentStatsQuery = {
+  weekday: { type: 'integer', min: 0, max: 6 },
+  hour: { type: 'integer', min: 0, max: 23 }
+};
+
+module.exports = { routeFields, segmentStatsQuery };
@@ -0,0 +1,83 @@
+const { objectId } = require('./common');
+const { WEEKDAYS } = require('../models/ServiceCalendar');
+
+const serviceTime = {
+  type: 'string',
+  pattern: /^\d{1,2}:\d{2}(:\d{2})?$/,
+  patternMessage: 'must be HH:MM or HH:MM:SS'
+};
+
+const calendarFields = {
+  serviceId: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  name: { type: 'string', maxLength: 200 },
+  days: {
+    type: 'object',
+    fields: Object.fromEntries(WEEKDAYS.map(day => [day, { type: 'boolean' }]))
+  },
+  startDate: { type: 'date', nullable: true },
+  endDate: { type: 'date', nullable: true },
+  exceptions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        date: { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be YYYY-MM-DD' },
+        type: { type: 'string', required: true, enum: ['added', 'removed'] },
+        note: { type: 'string', maxLength: 200 }
+      }
+    }
+  }
+};
+
+// serviceId is the calendar's public key and can't be renamed
+const { serviceId, ...calendarUpdateFields } = calendarFields;
+
+// arrival/departure accept "HH:MM[:SS]" or seconds after midnight; services/schedule.js checks them against the route
+const stopTime = {
+  type: 'object',
+  fields: {
+    stopIndex: { type: 'integer', min: 0 },
+    stop: { type: 'objectId' },
+    arrival: { type: 'any' },
+    departure: { type: 'any' }
+  }
+};
+
+const tripFields = {
+  tripCode: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  route: objectId,
+  service: objectId,
+  headsign: { type: 'string', maxLength: 200 },
+  stopTimes: { type: 'array', items: stopTime },
+  startTime: serviceTime,
+  isActive: { type: 'boolean' }
+};
+
+// The route is fixed once a trip exists — stop times are indexed against it
+const { route, ...tripUpdateFields } = tripFields;
+
+const generateTrips = {
+  route: objectId,
+  service: objectId,
+  firstDeparture: { ...serviceTime, required: true },
+  lastDeparture: { ...serviceTime, required: true },
+  headwayMinutes: { type: 'number', required: true, min: 1, max: 24 * 60 },
+  headsign: { type: 'string', maxLength: 200 }
+};
+
+const tripsQuery = {
+  route: { type: 'objectId' },
+  service: { type: 'objectId' }
+};
+
+const departuresQuery = { windowMinutes: { type: 'integer', min: 1, max: 24 * 60 } };
+
+module.exports = {
+  calendarFields,
+  calendarUpdateFields,
+  tripFields,
+  tripUpdateFields,
+  generateTrips,
+  tripsQuery,
+  departuresQuery
+};
@@ -0,0 +1,23 @@
+const { dateRangeQuery } = require('./common');
+
+const shiftsQuery = {
+  driver: { type: 'objectId' },
+  bus: { type: 'objectId' },
+  route: { type: 'objectId' },
+  status: { type: 'string', enum: ['open', 'closed'] },
+  ...dateRangeQuery,
+  limit: { type: 'integer', min: 1, max: 500 },
+  page: { type: 'integer', min: 1 }
+};
+
+const timesheetQuery = {
+  ...dateRangeQuery,
+  driver: { type: 'objectId' }
+};
+
+const myShiftsQuery = {
+  ...dateRangeQuery,
+  limit: { type: 'integer', min: 1, max: 200 }
+};
+
+module.exports = { shiftsQuery, timesheetQuery, myShiftsQuery };
@@ -0,0 +1,30 @@
+const { objectId, latitude, longitude, nearbyQuery } = require('./common');
+const { QR_FORMATS } = require('../services/qr');
+const { PAGE_SIZES, SIGNS_PER_PAGE } = require('../services/stopSigns');
+
+// routes[] is maintained from /api/routes; QR codes are rendered on demand
+const stopFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  stopCode: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  latitude: { ...latitude, required: true },
+  longitude: { ...longitude, required: true },
+  address: { type: 'string', maxLength: 500 },
+  isActive: { type: 'boolean' }
+};
+
+const nearbyStopsQuery = nearbyQuery();
+
+const stopCodeParams = { stopCode: { type: 'string', required: true } };
+
+const qrQuery = {
+  format: { type: 'string', enum: ['json', ...QR_FORMATS] },
+  size: { type: 'integer', min: 100, max: 2000 }
+};
+
+const stopSigns = {
+  stops: { type: 'array', required: true, minItems: 1, maxItems: 200, items: objectId },
+  pageSize: { type: 'string', enum: PAGE_SIZES, default: 'A4' },
+  perPage: { type: 'integer', enum: SIGNS_PER_PAGE, default: 1 }
+};
+
+module.exports = { stopFields, nearbyStopsQuery, stopCodeParams, qrQuery, stopSigns };
@@ -0,0 +1,39 @@
+const { objectId, phone } = require('./common');
+
+const createSubscription = {
+  stop: objectId,
+  route: { type: 'objectId' },
+  thresholdMinutes: { type: 'integer', min: 1, max: 60 },
+  thresholdStops: { type: 'integer', min: 0, max: 20 },
+  channel: { type: 'string', required: true, enum: ['webpush', 'webhook', 'sms', 'console'] },
+  target: {
+    type: 'object',
+    default: {},
+    fields: {
+      // Browser PushSubscription.toJSON()
+      pushSubscription: {
+        type: 'object',
+        fields: {
+          endpoint: { type: 'string', required: true, pattern: /^https:\/\//, patternMessage: 'must be an https URL' },
+          expirationTime: { type: 'any' },
+          keys: {
+            type: 'object',
+            required: true,
+            fields: { p256dh: { type: 'string', required: true }, auth: { type: 'string', required: true } }
+          }
+        }
+      },
+      url: { type: 'string', pattern: /^https:\/\//, patternMessage: 'must be an https URL' },
+      phone
+    }
+  },
+  expiresInMinutes: { type: 'integer', min: 5, max: 12 * 60 }
+};
+
+const manageQuery = { token: { type: 'string' } };
+
+const verifySubscription = {
+  code: { type: 'string', required: true, pattern: /^\d{6}$/, patternMessage: 'must be the 6-digit code' }
+};
+
+module.exports = { createSubscription, manageQuery, verifySubscription };
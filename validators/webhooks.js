@@ -0,0 +1,26 @@
+const { objectId } = require('./common');
+const { EVENT_TYPES } = require('../services/events');
+
+// The secret is generated server-side (POST /:id/rotate-secret to replace it)
+const webhookFields = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  url: { type: 'string', required: true, maxLength: 2000, pattern: /^https:\/\/\S+$/, patternMessage: 'must be an https URL' },
+  events: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: { type: 'string', enum: [...EVENT_TYPES, '*'] }
+  },
+  isActive: { type: 'boolean' }
+};
+
+const deliveryParams = { deliveryId: objectId };
+
+const deliveriesQuery = {
+  status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+  eventType: { type: 'string' },
+  limit: { type: 'integer', min: 1, max: 200 },
+  page: { type: 'integer', min: 1 }
+};
+
+module.exports = { webhookFields, deliveryParams, deliveriesQuery };